@@ -9,6 +9,34 @@ import { ClientState } from '../modes/client/state.js';
 import { TorService } from '../src/lib/torService.js';
 import { ModeAuthService, generateRandomPassword } from '../src/lib/auth.js';
 
+// 队列与死信由运行中的中继进程缓存在内存里，改动必须经它的管理接口完成，否则会被其下一次写盘覆盖
+async function callRelayAdmin(opts, route, body) {
+  const base = opts.url.replace(/\/$/, '');
+  const password = opts.password || process.env.RELAY_OWNER_PASSWORD;
+  if (!password) {
+    throw new Error('Relay Owner password required (--password or RELAY_OWNER_PASSWORD)');
+  }
+  const login = await fetch(`${base}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ password })
+  });
+  if (!login.ok) {
+    throw new Error(`Relay login failed: ${login.status} ${login.statusText}`);
+  }
+  const cookie = (login.headers.get('set-cookie') || '').split(';')[0];
+  const response = await fetch(`${base}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Cookie: cookie },
+    body: JSON.stringify(body)
+  });
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(payload.error || `Request failed: ${response.status} ${response.statusText}`);
+  }
+  return payload;
+}
+
 const program = new Command();
 program.name('loving-speech').description('Loving Speech Around the World CLI');
 
@@ -139,6 +167,23 @@ relay
   .option('--latency <ms>', 'Latency in milliseconds')
   .option('--reachability <ratio>', 'Reachability score 0-1')
   .option('--gfw <flag>', 'Whether blocked by GFW')
+  .option('--batching <flag>', 'Seal several queued letters into one block (true/false)')
+  .option('--batch-window <ms>', 'How long to collect letters before sealing a batch')
+  .option('--batch-max <count>', 'Maximum letters per batched block')
+  .option('--archival <mode>', 'Archival mode: full or pruned')
+  .option('--keep-blocks <count>', 'Blocks to keep when running pruned')
+  .option('--max-letter-bytes <bytes>', 'Largest letter ciphertext the relay accepts')
+  .option('--max-clock-skew <ms>', 'How far a letter createdAt may drift from the relay clock')
+  .option('--retry-base <ms>', 'First backoff delay for a failed queue entry')
+  .option('--retry-max <ms>', 'Longest backoff delay between queue retries')
+  .option('--max-attempts <count>', 'Attempts before a queue entry becomes a dead letter')
+  .option('--gossip <flag>', 'Push new block headers to peer relays (true/false)')
+  .option('--gossip-peers <count>', 'How many peer relays to keep for gossip')
+  .option('--max-payload-bytes <bytes>', 'Largest submission body the relay accepts')
+  .option('--rate-ip <count>', 'Submissions allowed per IP per minute (0 disables)')
+  .option('--ip-source <source>', 'Per-IP limiting: auto (off when serving a .onion), socket or off')
+  .option('--rate-fingerprint <count>', 'Submissions allowed per recipient fingerprint per minute (0 disables)')
+  .option('--pow-difficulty <bits>', 'Leading zero bits required in the proof-of-work stamp (0 disables)')
   .action(async (opts) => {
     const state = new RelayState();
     await state.init();
@@ -157,9 +202,69 @@ relay
     if (opts.latency) payload.metrics.latencyMs = Number(opts.latency);
     if (opts.reachability) payload.metrics.reachability = Number(opts.reachability);
     if (opts.gfw !== undefined) payload.metrics.gfwBlocked = opts.gfw === 'true';
+    if (opts.batching !== undefined || opts.batchWindow || opts.batchMax) {
+      payload.batching = { ...((await state.config.get()).batching || {}) };
+      if (opts.batching !== undefined) payload.batching.enabled = opts.batching === 'true';
+      if (opts.batchWindow) payload.batching.windowMs = Number(opts.batchWindow);
+      if (opts.batchMax) payload.batching.maxLetters = Number(opts.batchMax);
+    }
+    if (opts.archival || opts.keepBlocks) {
+      payload.archival = { ...((await state.config.get()).archival || {}) };
+      if (opts.archival) payload.archival.mode = opts.archival;
+      if (opts.keepBlocks) payload.archival.keepBlocks = Number(opts.keepBlocks);
+    }
+    if (opts.maxLetterBytes) payload.maxLetterBytes = Number(opts.maxLetterBytes);
+    if (opts.maxClockSkew) payload.maxClockSkewMs = Number(opts.maxClockSkew);
+    if (opts.retryBase || opts.retryMax || opts.maxAttempts) {
+      payload.queueRetry = { ...((await state.config.get()).queueRetry || {}) };
+      if (opts.retryBase) payload.queueRetry.baseDelayMs = Number(opts.retryBase);
+      if (opts.retryMax) payload.queueRetry.maxDelayMs = Number(opts.retryMax);
+      if (opts.maxAttempts) payload.queueRetry.maxAttempts = Number(opts.maxAttempts);
+    }
+    if (opts.gossip !== undefined || opts.gossipPeers) {
+      payload.gossip = { ...((await state.config.get()).gossip || {}) };
+      if (opts.gossip !== undefined) payload.gossip.enabled = opts.gossip === 'true';
+      if (opts.gossipPeers) payload.gossip.maxPeers = Number(opts.gossipPeers);
+    }
+    if (opts.maxPayloadBytes || opts.rateIp || opts.ipSource || opts.rateFingerprint || opts.powDifficulty) {
+      payload.admission = { ...((await state.config.get()).admission || {}) };
+      if (opts.maxPayloadBytes) payload.admission.maxPayloadBytes = Number(opts.maxPayloadBytes);
+      if (opts.rateIp) payload.admission.perIp = { ...payload.admission.perIp, limit: Number(opts.rateIp) };
+      if (opts.ipSource) payload.admission.ipSource = opts.ipSource;
+      if (opts.rateFingerprint) {
+        payload.admission.perFingerprint = { ...payload.admission.perFingerprint, limit: Number(opts.rateFingerprint) };
+      }
+      if (opts.powDifficulty) payload.admission.powDifficulty = Number(opts.powDifficulty);
+    }
     console.log(await state.config.update(payload)); // eslint-disable-line no-console
   });
 
+relay
+  .command('dead-letters:list')
+  .description('List queue entries that exhausted their retries')
+  .action(async () => {
+    const state = new RelayState();
+    console.table(await state.listDeadLetters()); // eslint-disable-line no-console
+  });
+
+relay
+  .command('dead-letters:retry [ids...]')
+  .description('Move dead letters back into the queue of the running relay (all when no id is given)')
+  .option('--url <url>', 'Running relay URL', 'http://localhost:4700')
+  .option('--password <password>', 'Relay Owner password (defaults to RELAY_OWNER_PASSWORD)')
+  .action(async (ids, opts) => {
+    console.log(await callRelayAdmin(opts, '/api/relay/dead-letters/retry', { ids })); // eslint-disable-line no-console
+  });
+
+relay
+  .command('dead-letters:purge [ids...]')
+  .description('Delete dead letters of the running relay permanently (all when no id is given)')
+  .option('--url <url>', 'Running relay URL', 'http://localhost:4700')
+  .option('--password <password>', 'Relay Owner password (defaults to RELAY_OWNER_PASSWORD)')
+  .action(async (ids, opts) => {
+    console.log(await callRelayAdmin(opts, '/api/relay/dead-letters/purge', { ids })); // eslint-disable-line no-console
+  });
+
 relay
   .command('sync')
   .description('Sync blocks from best relay in directory')
@@ -169,6 +274,16 @@ relay
     console.log(await state.syncFromDirectory()); // eslint-disable-line no-console
   });
 
+relay
+  .command('gossip:peers')
+  .description('Refresh the gossip peer set from the directory and show it')
+  .action(async () => {
+    const state = new RelayState();
+    await state.init();
+    await state.refreshGossipPeers((await state.loadNetworkView()).relays);
+    console.log(await state.getGossipStatus()); // eslint-disable-line no-console
+  });
+
 relay
   .command('tor:start')
   .description('Start Tor for relay mode')
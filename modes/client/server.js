@@ -93,14 +93,65 @@ export function createClientServer() {
     res.json({ key });
   });
 
+  app.get('/api/contacts', requireAuth, async (req, res) => {
+    res.json({ contacts: await state.listContacts(req.user) });
+  });
+
+  app.post('/api/contacts', requireAuth, async (req, res) => {
+    try {
+      const contact = await state.addContact(req.user, req.body ?? {});
+      res.json({ contact });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.delete('/api/contacts/:id', requireAuth, async (req, res) => {
+    const removed = await state.removeContact(req.user, req.params.id);
+    if (!removed) {
+      res.status(404).json({ error: 'Contact not found' });
+      return;
+    }
+    res.json({ ok: true });
+  });
+
   app.post('/api/letters', requireAuth, async (req, res) => {
     try {
-      const { keyId, text, metadata, relayUrl } = req.body;
-      const result = await state.composeLetter(req.user, { keyId, text, metadata, relayUrl });
+      const {
+        keyId,
+        keyIds,
+        recipientPublicKeys,
+        signKeyId,
+        text,
+        metadata,
+        publicMetadata,
+        stealth,
+        openAt,
+        relayUrl
+      } = req.body;
+      const result = await state.composeLetter(req.user, {
+        keyId,
+        keyIds,
+        recipientPublicKeys,
+        signKeyId,
+        text,
+        metadata,
+        publicMetadata,
+        stealth,
+        openAt,
+        relayUrl
+      });
       res.json(result);
     } catch (error) {
       logger.error('Compose letter failed', error.message);
-      res.status(400).json({ error: error.message });
+      // 中继拒收时带回其错误码，界面据此给出可读提示；没有错误码的中继响应统一标为 relay-rejected
+      const relayRejection = error.statusCode ? { code: error.code || 'relay-rejected', field: error.field } : null;
+      // 中继限流或暂不可用时保留其状态码与 Retry-After，界面可据此稍后重试
+      const status = error.statusCode === 429 || error.statusCode === 503 ? error.statusCode : 400;
+      if (error.retryAfter) {
+        res.setHeader('Retry-After', error.retryAfter);
+      }
+      res.status(status).json({ error: error.reason || error.message, ...relayRejection });
     }
   });
 
@@ -109,6 +160,53 @@ export function createClientServer() {
     res.json(result);
   });
 
+  app.get('/api/tickets', requireAuth, async (req, res) => {
+    try {
+      const tickets = await state.refreshTickets(req.user);
+      res.json({ tickets });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.delete('/api/tickets/:id', requireAuth, async (req, res) => {
+    try {
+      const removed = await state.dismissTicket(req.user, req.params.id);
+      res.json({ removed });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/letters/:keyId/receipts', requireAuth, async (req, res) => {
+    try {
+      const receipts = await state.listReceipts(req.user, req.params.keyId);
+      res.json({ receipts });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.post('/api/letters/:keyId/revoke', requireAuth, async (req, res) => {
+    try {
+      const result = await state.revokeLetter(req.user, req.params.keyId, req.body?.payloadHash);
+      res.json(result);
+    } catch (error) {
+      logger.warn('Letter revocation failed', error.message);
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/letters/:keyId/proofs', requireAuth, async (req, res) => {
+    try {
+      const result = await state.verifyLetterProofs(req.user, req.params.keyId, { relayUrl: req.query.relayUrl });
+      res.json(result);
+    } catch (error) {
+      logger.warn('Letter proof verification failed', error.message);
+      res.status(400).json({ error: error.message });
+    }
+  });
+
   app.get('/api/letters/:keyId', requireAuth, async (req, res) => {
     try {
       const letters = await state.findLetters(req.user, req.params.keyId);
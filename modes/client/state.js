@@ -1,22 +1,49 @@
 import path from 'node:path';
-import { encryptLetter, fingerprintPublicKey, decryptLetter } from '../../src/lib/crypto.js';
+import { encryptLetter, fingerprintPublicKey, decryptLetter, hashPayload, matchStealthLetter } from '../../src/lib/crypto.js';
+import { buildTombstone, createRevocationHandle, verifyTombstone } from '../../src/lib/tombstones.js';
+import { computeProofOfWorkAsync } from '../../src/lib/admission.js';
 import { BlockStore } from '../../src/lib/blockchain.js';
 import { modeDataPath } from '../../src/lib/paths.js';
 import { ModeConfig } from '../../src/lib/modeConfig.js';
 import { fetchJson, safeFetch } from '../../src/lib/network.js';
-import { chooseRelay } from '../../src/lib/sync.js';
+import { chooseRelay, fetchDateBeacon, fetchNetworkView, pullIncrementalBlocks } from '../../src/lib/sync.js';
+import { beaconDateFor, isBeaconReleased, isValidBeaconDate } from '../../src/lib/dateBeacons.js';
 import { createLogger } from '../../src/lib/logger.js';
 import { SecureKeyVault } from '../../src/lib/secureKeyVault.js';
+import { verifyLetterReceipt } from '../../src/lib/receipts.js';
 
 const logger = createLogger('client-state');
+const MAX_FINISHED_TICKETS = 20;
+const MAX_CLIENT_POW_DIFFICULTY = 22;
+
+// 对照通讯录与自己的密钥判定寄信人：已验证 / 未知寄信人 / 签名无效
+function describeSender(sender, contacts = [], ownKeys = []) {
+  if (!sender) {
+    return { status: 'unsigned' };
+  }
+  if (!sender.signatureValid) {
+    return { status: 'bad-signature', fingerprint: sender.fingerprint };
+  }
+  const contact = contacts.find((entry) => entry.signingPublicKey === sender.publicKey);
+  if (contact) {
+    return { status: 'verified', contact: contact.name, fingerprint: sender.fingerprint };
+  }
+  const own = ownKeys.find((key) => key.signingPublicKey === sender.publicKey);
+  if (own) {
+    return { status: 'verified', contact: own.label, self: true, fingerprint: sender.fingerprint };
+  }
+  return { status: 'unknown', fingerprint: sender.fingerprint };
+}
 
 export class ClientState {
   constructor() {
     this.vault = new SecureKeyVault('client');
     this.blockStore = null; // 延迟初始化，根据 directoryUrl 确定路径
+    this.beaconKeys = new Map(); // 已公布的日期信标私钥，按日期缓存
     this.config = new ModeConfig('client', {
       directoryUrl: 'http://localhost:4600',
-      preferredRelay: 'http://localhost:4700'
+      preferredRelay: 'http://localhost:4700',
+      directoryKeys: {}
     });
   }
 
@@ -80,80 +107,413 @@ export class ClientState {
     });
   }
 
-  async composeLetter(user, { keyId, text, metadata = {}, relayUrl }) {
-    const key = await this.vault.findKey(user.id, this.decodeVaultKey(user.vaultKey), keyId);
-    if (!key) throw new Error('Key not found');
-    const payload = encryptLetter(key.publicKey, text, metadata);
-    const ownerFingerprint = fingerprintPublicKey(key.publicKey);
+  async listContacts(user) {
+    return this.vault.listContacts(user.id, this.decodeVaultKey(user.vaultKey));
+  }
+
+  async addContact(user, { name, signingPublicKey }) {
+    if (!name || !signingPublicKey) {
+      throw new Error('name and signingPublicKey required');
+    }
+    return this.vault.addContact(user.id, this.decodeVaultKey(user.vaultKey), {
+      name: name.trim(),
+      signingPublicKey: signingPublicKey.trim()
+    });
+  }
+
+  async removeContact(user, contactId) {
+    return this.vault.removeContact(user.id, this.decodeVaultKey(user.vaultKey), contactId);
+  }
+
+  async resolveSender(user, signKeyId) {
+    if (!signKeyId) return null;
+    const key = await this.vault.ensureSigningKey(user.id, this.decodeVaultKey(user.vaultKey), signKeyId);
+    if (!key) throw new Error('Signing key not found');
+    return { publicKey: key.signingPublicKey, privateKey: key.signingPrivateKey };
+  }
+
+  async resolveRecipientKeys(user, { keyId, keyIds = [], recipientPublicKeys = [] }) {
+    const vaultKey = this.decodeVaultKey(user.vaultKey);
+    const ownKeyIds = [...new Set([keyId, ...keyIds].filter(Boolean))];
+    if (!ownKeyIds.length) throw new Error('Key not found');
+    const ownKeys = await Promise.all(ownKeyIds.map((id) => this.vault.findKey(user.id, vaultKey, id)));
+    if (ownKeys.some((key) => !key)) throw new Error('Key not found');
+    const externalKeys = (Array.isArray(recipientPublicKeys) ? recipientPublicKeys : [recipientPublicKeys])
+      .filter((publicKey) => typeof publicKey === 'string' && publicKey.trim())
+      .map((publicKey) => publicKey.trim());
+    const publicKeys = [...new Set([...ownKeys.map((key) => key.publicKey), ...externalKeys])];
+    return { primaryKeyId: ownKeyIds[0], publicKeys };
+  }
+
+  async composeLetter(
+    user,
+    { keyId, keyIds, recipientPublicKeys, signKeyId, text, metadata = {}, publicMetadata, stealth = false, openAt, relayUrl }
+  ) {
+    const { primaryKeyId, publicKeys } = await this.resolveRecipientKeys(user, { keyId, keyIds, recipientPublicKeys });
+    const sender = await this.resolveSender(user, signKeyId);
+    const timeLock = openAt ? await this.resolveTimeLock(openAt) : null;
+    // metrics 仅供中继打分，单独提交，不写入信件
+    const { metrics, ...privateMetadata } = metadata;
+    const payload = encryptLetter(publicKeys, text, privateMetadata, {
+      publicMetadata,
+      stealth: Boolean(stealth),
+      ...(timeLock ? { timeLock } : {}),
+      // 署名信件附带一次性撤回公钥，寄信人日后可用同一签名密钥写入墓碑
+      ...(sender ? { sender, revocation: createRevocationHandle(sender.privateKey) } : {})
+    });
+    // 隐匿寻址时不向中继透露任何收件人指纹
+    const recipientFingerprints = stealth ? [] : publicKeys.map((publicKey) => fingerprintPublicKey(publicKey));
+    const ownerFingerprint = recipientFingerprints[0] ?? null;
     
     // 优先使用参数指定的 relayUrl，其次使用配置的 preferredRelay，最后从目录自动选择
-    const cfg = await this.config.get();
-    let targetRelay = relayUrl || cfg.preferredRelay;
-    
-    if (!targetRelay && cfg.directoryUrl) {
-      const relay = await chooseRelay(cfg.directoryUrl);
-      targetRelay = relay?.publicAccessUrl || relay?.publicUrl || relay?.onion;
-    }
+    const targetRelay = await this.resolveRelayUrl(relayUrl);
     
     if (!targetRelay) throw new Error('No relay URL configured');
     
-    const endpoint = `${targetRelay.replace(/\/$/, '')}/api/letters`;
-    await fetchJson(endpoint, {
+    const base = targetRelay.replace(/\/$/, '');
+    const stamp = await this.stampLetter(base, payload);
+    const response = await fetchJson(`${base}/api/letters`, {
       method: 'POST',
       body: {
         payload,
         ownerFingerprint,
-        relayMetrics: metadata.metrics ?? {}
+        recipientFingerprints,
+        relayMetrics: metrics ?? {},
+        ...(stamp ? { stamp } : {}),
+        async: true
       }
     });
-    return { ownerFingerprint, relay: targetRelay };
+    const delivery = {
+      payloadHash: hashPayload(payload),
+      revocation: payload.revocation ?? null,
+      relay: targetRelay,
+      signKeyId
+    };
+    // 中继以 202 返回票据时信件仍在排队，回执待封块后凭票据领取；不支持异步的旧中继直接返回回执
+    if (response?.ticket) {
+      const ticket = await this.vault.saveTicket(user.id, this.decodeVaultKey(user.vaultKey), {
+        ...delivery,
+        id: response.ticket.id,
+        keyId: primaryKeyId,
+        status: response.ticket.status,
+        submittedAt: new Date().toISOString()
+      });
+      return { ownerFingerprint, recipientFingerprints, relay: targetRelay, ticket: { id: ticket.id, status: ticket.status } };
+    }
+    const receipt = await this.storeReceipt(user, primaryKeyId, response?.receipt, delivery);
+    return { ownerFingerprint, recipientFingerprints, relay: targetRelay, receipt };
   }
 
-  async syncBlocks() {
+  async fetchBeacon(date) {
+    const cfg = await this.config.get();
+    let pinnedKey = cfg.directoryKeys?.[cfg.directoryUrl];
+    if (!pinnedKey) {
+      pinnedKey = (await this.loadNetworkView()).directoryKey;
+    }
+    const { beacon } = await fetchDateBeacon(cfg.directoryUrl, date, pinnedKey);
+    return beacon;
+  }
+
+  async resolveTimeLock(openAt) {
+    const openAtMs = Date.parse(openAt);
+    if (Number.isNaN(openAtMs) || openAtMs <= Date.now()) {
+      throw new Error('openAt must be a future date');
+    }
+    const beaconDate = beaconDateFor(openAt);
+    if (!isValidBeaconDate(beaconDate)) {
+      throw new Error('openAt is too far in the future');
+    }
+    const beacon = await this.fetchBeacon(beaconDate);
+    return { openAt: new Date(openAtMs).toISOString(), beaconDate, beaconPublicKey: beacon.publicKey };
+  }
+
+  // 只有开启日期已到且目录公布了当日私钥时才能拿到，改过的客户端也无法提前拆信
+  async getBeaconPrivateKey(date) {
+    if (this.beaconKeys.has(date)) {
+      return this.beaconKeys.get(date);
+    }
+    if (!isBeaconReleased(date)) {
+      return null;
+    }
+    const beacon = await this.fetchBeacon(date);
+    if (!beacon.privateKey) {
+      return null;
+    }
+    this.beaconKeys.set(date, beacon.privateKey);
+    return beacon.privateKey;
+  }
+
+  // 按中继在 /api/status 公布的难度计算工作量证明邮戳
+  async stampLetter(relayBase, payload) {
+    const status = await safeFetch(`${relayBase}/api/status`);
+    const difficulty = status?.admission?.powDifficulty ?? 0;
+    // 难度由中继决定，超过上限的中继会让客户端长时间占满 CPU，直接拒绝
+    if (difficulty > MAX_CLIENT_POW_DIFFICULTY) {
+      throw new Error(`Relay requires proof-of-work difficulty ${difficulty}, above the client limit of ${MAX_CLIENT_POW_DIFFICULTY}`);
+    }
+    return difficulty ? computeProofOfWorkAsync(hashPayload(payload), difficulty) : null;
+  }
+
+  async storeReceipt(user, keyId, receipt, { payloadHash, revocation, relay, signKeyId }) {
+    if (!receipt) {
+      logger.warn('Relay did not return a delivery receipt', relay);
+      return null;
+    }
+    const { relayKeys } = await this.loadNetworkView();
+    const check = receipt.payloadHash === payloadHash
+      ? verifyLetterReceipt(receipt, { relayKeys })
+      : { ok: false, reason: 'Receipt does not cover this letter' };
+    if (!check.ok) {
+      logger.warn('Discarding invalid delivery receipt', check.reason);
+      return null;
+    }
+    const entry = { ...receipt, relay, storedAt: new Date().toISOString() };
+    if (revocation) {
+      entry.revocation = { signKeyId, ...revocation };
+    }
+    await this.vault.addReceipt(user.id, this.decodeVaultKey(user.vaultKey), keyId, entry);
+    return entry;
+  }
+
+  // 轮询仍在排队的票据；封块后领取并校验回执，失败的票据保留错误原因供界面展示。
+  // 失败的票据也继续轮询：中继可能把它从死信中重试并封块，除非中继已不认识这张票据
+  async refreshTickets(user) {
+    const vaultKey = this.decodeVaultKey(user.vaultKey);
+    const tickets = await this.vault.listTickets(user.id, vaultKey);
+    const pollable = tickets.filter(
+      (entry) => entry.status === 'queued' || (entry.status === 'failed' && !entry.unknownToRelay)
+    );
+    for (const ticket of pollable) {
+      const base = ticket.relay.replace(/\/$/, '');
+      let remote;
+      try {
+        remote = (await fetchJson(`${base}/api/letters/tickets/${encodeURIComponent(ticket.id)}`, { method: 'GET' })).ticket;
+      } catch (error) {
+        if (error.statusCode !== 404) {
+          logger.warn('Ticket status unavailable', { relay: ticket.relay, error: error.message });
+          continue;
+        }
+        remote = { status: 'failed', error: 'Relay no longer knows this ticket', unknownToRelay: true };
+      }
+      if (ticket.status === 'failed' && remote.status === 'failed' && !remote.unknownToRelay) {
+        continue;
+      }
+      const updated = { ...ticket, status: remote.status, checkedAt: new Date().toISOString() };
+      if (remote.status === 'queued') {
+        Object.assign(updated, { attempts: remote.attempts, nextAttemptAt: remote.nextAttemptAt, lastError: remote.lastError });
+      } else if (remote.status === 'sealed') {
+        const receipt = await this.storeReceipt(user, ticket.keyId, remote.receipt, ticket);
+        Object.assign(updated, { blockIndex: remote.blockIndex, receiptStored: Boolean(receipt) });
+      } else {
+        updated.error = remote.error;
+        updated.unknownToRelay = Boolean(remote.unknownToRelay);
+      }
+      await this.vault.saveTicket(user.id, vaultKey, updated);
+    }
+    return this.listTickets(user);
+  }
+
+  async listTickets(user) {
+    const vaultKey = this.decodeVaultKey(user.vaultKey);
+    const tickets = await this.vault.listTickets(user.id, vaultKey);
+    const sorted = [...tickets].sort((a, b) => Date.parse(b.submittedAt) - Date.parse(a.submittedAt));
+    // 已完成的票据只保留最近若干条，回执已另存
+    const stale = sorted.filter((ticket) => ticket.status !== 'queued').slice(MAX_FINISHED_TICKETS);
+    for (const ticket of stale) {
+      await this.vault.removeTicket(user.id, vaultKey, ticket.id);
+    }
+    const staleIds = new Set(stale.map((ticket) => ticket.id));
+    return sorted
+      .filter((ticket) => !staleIds.has(ticket.id))
+      .map(({ revocation, ...ticket }) => ticket);
+  }
+
+  async dismissTicket(user, ticketId) {
+    return this.vault.removeTicket(user.id, this.decodeVaultKey(user.vaultKey), ticketId);
+  }
+
+  async listReceipts(user, keyId) {
+    const vaultKey = this.decodeVaultKey(user.vaultKey);
+    const receipts = await this.vault.listReceipts(user.id, vaultKey, keyId);
+    const blockStore = await this.getBlockStore();
+    const manifest = await blockStore.getManifest();
+    const localHashes = new Map(manifest.map((entry) => [entry.index, entry.hash]));
+    const tombstones = await blockStore.getTombstones();
+    const { relayKeys } = await this.loadNetworkView();
+    return receipts.map((receipt) => {
+      const localHash = localHashes.get(receipt.blockIndex);
+      let chainStatus = 'pending-sync';
+      if (localHash) {
+        chainStatus = localHash === receipt.blockHash ? 'confirmed' : 'orphaned';
+      }
+      return {
+        ...receipt,
+        signatureValid: verifyLetterReceipt(receipt, { relayKeys }).ok,
+        chainStatus,
+        revocable: Boolean(receipt.revocation),
+        revoked: tombstones.has(receipt.payloadHash)
+      };
+    });
+  }
+
+  async revokeLetter(user, keyId, payloadHash) {
+    const vaultKey = this.decodeVaultKey(user.vaultKey);
+    const receipts = await this.vault.listReceipts(user.id, vaultKey, keyId);
+    const receipt = receipts.find((entry) => entry.payloadHash === payloadHash);
+    if (!receipt?.revocation) {
+      throw new Error('No revocable letter with this payload hash');
+    }
+    const signingKey = await this.vault.ensureSigningKey(user.id, vaultKey, receipt.revocation.signKeyId);
+    if (!signingKey) throw new Error('Signing key not found');
+    const tombstone = buildTombstone(signingKey.signingPrivateKey, { payloadHash, revocation: receipt.revocation });
+    const targetRelay = receipt.relay || (await this.resolveRelayUrl(null, { preferFull: true }));
+    if (!targetRelay) throw new Error('No relay URL configured');
+    const response = await fetchJson(`${targetRelay.replace(/\/$/, '')}/api/tombstones`, {
+      method: 'POST',
+      body: { tombstone }
+    });
+    return { tombstone, relay: targetRelay, blockIndex: response?.blockIndex ?? null };
+  }
+
+  async resolveRelayUrl(relayUrl, options = {}) {
+    const cfg = await this.config.get();
+    let targetRelay = relayUrl || cfg.preferredRelay;
+    if (!targetRelay && cfg.directoryUrl) {
+      const relay = await chooseRelay(cfg.directoryUrl, options);
+      targetRelay = relay?.publicAccessUrl || relay?.publicUrl || relay?.onion;
+    }
+    return targetRelay || null;
+  }
+
+  async loadNetworkView() {
     const cfg = await this.config.get();
-    let relayUrl = cfg.preferredRelay;
-    if (!relayUrl && cfg.directoryUrl) {
-      const relay = await chooseRelay(cfg.directoryUrl);
-      relayUrl = relay?.publicAccessUrl || relay?.publicUrl || relay?.onion;
+    const pinnedKeys = cfg.directoryKeys || {};
+    const view = await fetchNetworkView(cfg.directoryUrl, { directoryKey: pinnedKeys[cfg.directoryUrl] });
+    if (view.keyMismatch) {
+      logger.warn('Directory checkpoint key differs from pinned key, ignoring checkpoints');
+    } else if (!pinnedKeys[cfg.directoryUrl] && view.directoryKey) {
+      await this.config.update({ directoryKeys: { ...pinnedKeys, [cfg.directoryUrl]: view.directoryKey } });
     }
+    return view;
+  }
+
+  async syncBlocks() {
+    const relayUrl = await this.resolveRelayUrl(null, { preferFull: true });
     if (!relayUrl) {
       return { updated: false, reason: 'No relay to sync from' };
     }
+    const blockStore = await this.getBlockStore();
+    const { relayKeys, attestations, checkpoints } = await this.loadNetworkView();
+    try {
+      const incremental = await pullIncrementalBlocks(blockStore, relayUrl, { relayKeys, checkpoints });
+      if (incremental.linked) {
+        return { ...incremental, incremental: true, relayUrl };
+      }
+    } catch (error) {
+      logger.warn('Incremental sync failed, falling back to full chain download', error.message);
+    }
     const endpoint = `${relayUrl.replace(/\/$/, '')}/api/blocks/full`;
     const data = await safeFetch(endpoint);
     if (!data?.blocks) {
       return { updated: false, reason: 'Relay did not provide blocks' };
     }
-    const blockStore = await this.getBlockStore();
-    const result = await blockStore.syncFromRemote(data.blocks);
+    const result = await blockStore.syncFromRemote(data.blocks, { relayKeys, attestations, checkpoints });
     return { ...result, relayUrl };
   }
 
   async findLetters(user, keyId) {
-    const key = await this.vault.findKey(user.id, this.decodeVaultKey(user.vaultKey), keyId);
+    const vaultKey = this.decodeVaultKey(user.vaultKey);
+    const ownKeys = await this.vault.listKeys(user.id, vaultKey);
+    const key = ownKeys.find((entry) => entry.id === keyId);
     if (!key) throw new Error('Key not found');
+    const contacts = await this.vault.listContacts(user.id, vaultKey);
     const fingerprint = fingerprintPublicKey(key.publicKey);
     const blockStore = await this.getBlockStore();
-    const entries = await blockStore.findLettersByFingerprint(fingerprint);
-    return entries.map(({ block, letter }) => {
-      try {
-        const data = decryptLetter(key.privateKey, letter.payload);
-        return {
-          blockIndex: block.index,
-          timestamp: block.timestamp,
-          plaintext: data.plaintext,
-          metadata: data.metadata
-        };
-      } catch (err) {
-        logger.warn('Failed to decrypt letter', err.message);
+    const addressed = await blockStore.findLettersByFingerprint(fingerprint);
+    const stealth = await blockStore.findStealthLetters((letter) => matchStealthLetter(key.privateKey, letter.payload));
+    // 寄信人写入了有效墓碑的信件不再展示
+    const tombstones = await blockStore.getTombstones();
+    const isRevoked = ({ letter }) => tombstones.size > 0 && (tombstones.get(hashPayload(letter.payload)) ?? [])
+      .some((tombstone) => verifyTombstone(tombstone, letter.payload).ok);
+    const entries = [...addressed, ...stealth].filter((entry) => !isRevoked(entry)).sort(
+      (a, b) => a.block.index - b.block.index || a.position - b.position
+    );
+    const letters = [];
+    for (const { block, letter } of entries) {
+      letters.push(await this.openLetter(key, block, letter, { fingerprint, contacts, ownKeys }));
+    }
+    return letters;
+  }
+
+  async openLetter(key, block, letter, { fingerprint, contacts, ownKeys }) {
+    const base = { blockIndex: block.index, timestamp: block.timestamp, stealth: !letter.ownerFingerprint };
+    try {
+      const options = letter.ownerFingerprint ? { ownerFingerprint: fingerprint } : {};
+      const timeLock = letter.payload?.timeLock;
+      if (timeLock && Date.now() >= Date.parse(timeLock.openAt)) {
+        try {
+          options.beaconPrivateKey = await this.getBeaconPrivateKey(timeLock.beaconDate);
+        } catch (error) {
+          logger.warn('Date beacon unavailable', error.message);
+        }
+      }
+      const data = decryptLetter(key.privateKey, letter.payload, options);
+      const recipientFingerprints = data.recipientFingerprints ?? [letter.ownerFingerprint];
+      if (data.locked) {
         return {
-          blockIndex: block.index,
-          timestamp: block.timestamp,
-          plaintext: '[decryption failed]',
-          metadata: {}
+          ...base,
+          locked: true,
+          openAt: data.openAt,
+          plaintext: null,
+          metadata: data.metadata,
+          publicMetadata: data.publicMetadata,
+          recipientFingerprints
         };
       }
+      return {
+        ...base,
+        plaintext: data.plaintext,
+        metadata: data.metadata,
+        publicMetadata: data.publicMetadata ?? data.metadata ?? {},
+        recipientFingerprints,
+        ...(timeLock ? { openAt: timeLock.openAt } : {}),
+        sender: describeSender(data.sender, contacts, ownKeys)
+      };
+    } catch (err) {
+      logger.warn('Failed to decrypt letter', err.message);
+      return {
+        blockIndex: block.index,
+        timestamp: block.timestamp,
+        plaintext: '[decryption failed]',
+        metadata: letter.payload?.metadata ?? {}
+      };
+    }
+  }
+
+  async verifyLetterProofs(user, keyId, { relayUrl } = {}) {
+    const key = await this.vault.findKey(user.id, this.decodeVaultKey(user.vaultKey), keyId);
+    if (!key) throw new Error('Key not found');
+    const fingerprint = fingerprintPublicKey(key.publicKey);
+    const targetRelay = await this.resolveRelayUrl(relayUrl, { preferFull: true });
+    if (!targetRelay) throw new Error('No relay URL configured');
+    const endpoint = `${targetRelay.replace(/\/$/, '')}/api/letters/${fingerprint}/proof`;
+    const data = await fetchJson(endpoint);
+    const manifest = await (await this.getBlockStore()).getManifest();
+    const localHashes = new Map(manifest.map((entry) => [entry.index, entry.hash]));
+    const proofs = (data?.proofs ?? []).map((proof) => {
+      const result = BlockStore.verifyLetterProof(proof, fingerprint);
+      const localHash = localHashes.get(proof.header?.index);
+      return {
+        blockIndex: proof.header?.index ?? null,
+        blockHash: proof.header?.hash ?? null,
+        position: proof.position,
+        verified: result.ok,
+        reason: result.reason || null,
+        // 与本地链一致说明该区块头已被本地同步的链确认
+        anchored: result.ok && localHash === proof.header.hash
+      };
     });
+    return { fingerprint, relay: targetRelay, proofs, unprovable: data?.unprovable ?? 0 };
   }
 
   async updateConfig(partial) {
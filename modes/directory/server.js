@@ -2,7 +2,7 @@ import express from 'express';
 import bodyParser from 'body-parser';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { DirectoryState } from './state.js';
+import { DirectoryState, pickRelayHeartbeat } from './state.js';
 import { TorService } from '../../src/lib/torService.js';
 import { createLogger } from '../../src/lib/logger.js';
 import { ModeAuthService, renderAuthGatePage } from '../../src/lib/auth.js';
@@ -12,6 +12,7 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const logger = createLogger('directory-server');
 const METRICS_POLL_INTERVAL_MS = Number(process.env.DIRECTORY_METRICS_INTERVAL_MS ?? 180000);
 const RELAY_PROBE_TIMEOUT_MS = Number(process.env.DIRECTORY_METRICS_TIMEOUT_MS ?? 8000);
+const CHECKPOINT_INTERVAL_MS = Number(process.env.DIRECTORY_CHECKPOINT_INTERVAL_MS ?? 600000);
 
 function sanitizeIp(raw) {
   if (!raw) return null;
@@ -253,6 +254,25 @@ function startRelayMetricsPoller(state) {
   timer.unref?.();
 }
 
+function startCheckpointPublisher(state) {
+  const interval = Number.isFinite(CHECKPOINT_INTERVAL_MS) && CHECKPOINT_INTERVAL_MS > 0
+    ? CHECKPOINT_INTERVAL_MS
+    : 600000;
+
+  const publish = async () => {
+    const checkpoint = await state.publishCheckpoint();
+    if (checkpoint) {
+      logger.debug('Published chain checkpoint', { height: checkpoint.height, hash: checkpoint.hash });
+    }
+  };
+
+  publish().catch((error) => logger.warn('Initial checkpoint publish failed', error.message));
+  const timer = setInterval(() => {
+    publish().catch((error) => logger.warn('Checkpoint publish failed', error.message));
+  }, interval);
+  timer.unref?.();
+}
+
 function computeRelayReputation(relay) {
   if (typeof relay?.reputation === 'number') {
     return relay.reputation;
@@ -287,6 +307,7 @@ export function createDirectoryServer() {
   const loginLanding = renderAuthGatePage('Directory Authority');
   const bootStartedAt = Date.now();
   startRelayMetricsPoller(state);
+  startCheckpointPublisher(state);
 
   auth
     .init()
@@ -318,6 +339,18 @@ export function createDirectoryServer() {
     res.json({ relays: relaysWithScores, manifest });
   });
 
+  app.get('/api/checkpoints', async (req, res) => {
+    res.json(await state.listCheckpoints());
+  });
+
+  app.get('/api/beacons/:date', async (req, res) => {
+    try {
+      res.json(await state.getDateBeacon(req.params.date));
+    } catch (error) {
+      res.status(Number(error?.statusCode) || 500).json({ error: error.message });
+    }
+  });
+
   app.get('/api/relays/best', async (req, res) => {
     const best = await state.findBestRelay();
     if (!best) {
@@ -342,7 +375,7 @@ export function createDirectoryServer() {
       const finalAccessUrl = req.body?.publicAccessUrl || resolvedPublicUrl || req.body?.publicUrl || null;
       
       const relayPayload = {
-        ...req.body,
+        ...pickRelayHeartbeat(req.body),
         publicUrl: finalAccessUrl,
         publicAccessUrl: req.body?.publicAccessUrl || '',
         clientDerivedUrl: resolvedPublicUrl || null,
@@ -492,6 +525,8 @@ export function createDirectoryServer() {
         lastHeartbeat: relay.lastHeartbeat || relay.lastSeen,
         createdAt: relay.createdAt,
         chainSummary: relay.chainSummary,
+        verifiedHead: relay.verifiedHead || null,
+        quarantine: relay.quarantine || null,
         lastSeenIp: relay.lastSeenIp || relay.connectionMeta?.clientAddress || null,
         connectionMeta: relay.connectionMeta || null,
         metricsSampledAt: relay.metricsSampledAt || null,
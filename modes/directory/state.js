@@ -1,13 +1,49 @@
 import path from 'node:path';
+import { randomBytes } from 'node:crypto';
 import { JsonStore } from '../../src/lib/jsonStore.js';
 import { modeDataPath } from '../../src/lib/paths.js';
 import { selectBestRelay } from '../../src/lib/relaySelector.js';
+import { fingerprintRelayKey, generateSigningKeyPair } from '../../src/lib/crypto.js';
+import { buildAttestationIndex, chooseCanonicalChain, findDivergence } from '../../src/lib/forkChoice.js';
+import { BlockStore } from '../../src/lib/blockchain.js';
+import { buildRelayKeyRegistry } from '../../src/lib/sync.js';
+import { fetchJson } from '../../src/lib/network.js';
+import { buildChainCheckpoint, findCheckpointConflict } from '../../src/lib/checkpoints.js';
+import { buildDateBeacon, isValidBeaconDate } from '../../src/lib/dateBeacons.js';
+import { createLogger } from '../../src/lib/logger.js';
+import { Mutex } from '../../src/lib/mutex.js';
+
+const logger = createLogger('directory-state');
+const HEAD_VERIFY_TIMEOUT_MS = Number(process.env.DIRECTORY_HEAD_VERIFY_TIMEOUT_MS ?? 8000);
+const MAX_CHECKPOINTS = 100;
 
 const defaults = {
   relays: [],
-  canonicalManifest: { hashes: [], length: 0, checksum: '', latestHash: '' }
+  canonicalManifest: { hashes: [], length: 0, checksum: '', latestHash: '' },
+  checkpoints: []
 };
 
+// 心跳中由中继自报的字段；verifiedHead、quarantine、syncStatus 由目录维护，不接受中继写入
+export const RELAY_HEARTBEAT_FIELDS = [
+  'onion',
+  'publicUrl',
+  'publicAccessUrl',
+  'nickname',
+  'fingerprint',
+  'publicKey',
+  'latencyMs',
+  'reachability',
+  'gfwBlocked',
+  'chainSummary'
+];
+const DIRECTORY_OWNED_FIELDS = ['verifiedHead', 'quarantine', 'syncStatus'];
+
+export function pickRelayHeartbeat(body = {}) {
+  return Object.fromEntries(
+    RELAY_HEARTBEAT_FIELDS.filter((key) => body?.[key] !== undefined).map((key) => [key, body[key]])
+  );
+}
+
 function compareManifests(canonical, candidate) {
   if (!canonical?.hashes?.length) return { matches: true };
   if (!candidate?.hashes?.length) {
@@ -25,10 +61,46 @@ function compareManifests(canonical, candidate) {
   return { matches: true };
 }
 
+function isPrefixOf(hashes = [], canonicalHashes = []) {
+  return hashes.length <= canonicalHashes.length && findDivergence(hashes, canonicalHashes) === -1;
+}
+
+function contradictsCheckpoints(summary, checkpoints = []) {
+  const entries = (summary?.hashes ?? []).map((hash, index) => ({ index, hash }));
+  return Boolean(findCheckpointConflict(entries, checkpoints));
+}
+
 export class DirectoryState {
   constructor() {
     const filePath = path.join(modeDataPath('directory'), 'directory-state.json');
     this.store = new JsonStore(filePath, defaults);
+    this.identityStore = new JsonStore(path.join(modeDataPath('directory'), 'identity.json'), {});
+    this.signer = null;
+    this.beaconSecret = null;
+    this.upsertMutex = new Mutex();
+  }
+
+  async ensureIdentity() {
+    if (this.signer) {
+      return this.signer;
+    }
+    let identity = await this.identityStore.get();
+    if (!identity?.publicKey || !identity?.privateKey) {
+      const { publicKey, privateKey } = generateSigningKeyPair();
+      identity = await this.identityStore.update(() => ({
+        fingerprint: fingerprintRelayKey(publicKey),
+        publicKey,
+        privateKey,
+        createdAt: new Date().toISOString()
+      }));
+    }
+    // 日期信标密钥由该种子按日期派生，无需逐日保存
+    if (!identity.beaconSecret) {
+      identity = await this.identityStore.update((data) => ({ ...data, beaconSecret: randomBytes(32).toString('base64') }));
+    }
+    this.signer = { fingerprint: identity.fingerprint, publicKey: identity.publicKey, privateKey: identity.privateKey };
+    this.beaconSecret = identity.beaconSecret;
+    return this.signer;
   }
 
   async listRelays() {
@@ -36,37 +108,82 @@ export class DirectoryState {
     return data.relays;
   }
 
-  async upsertRelay(payload) {
+  assertRelayIdentity(payload, existing) {
+    if (!payload.publicKey) {
+      // 已固定公钥的中继不能靠省略公钥绕过身份校验
+      if (existing?.publicKey) {
+        throw new Error('Relay is registered with an identity key; heartbeats must include it');
+      }
+      return;
+    }
+    if (fingerprintRelayKey(payload.publicKey) !== payload.fingerprint) {
+      throw new Error('Relay fingerprint does not match its public key');
+    }
+    if (existing?.publicKey && existing.publicKey !== payload.publicKey) {
+      throw new Error('Relay identity key changed; remove the old registration before re-registering');
+    }
+  }
+
+  // 心跳串行处理：链头抽查可能等待数秒，期间到达的心跳不能基于过期的中继列表判断规范链
+  upsertRelay(heartbeat) {
+    return this.upsertMutex.run(() => this.applyHeartbeat(heartbeat));
+  }
+
+  async applyHeartbeat(heartbeat) {
+    const payload = Object.fromEntries(
+      Object.entries(heartbeat).filter(([key]) => !DIRECTORY_OWNED_FIELDS.includes(key))
+    );
     const state = await this.store.get();
-    let existing = state.relays.find((relay) => relay.onion === payload.onion);
-    if (existing) {
-      existing = {
-        ...existing,
+    const previous = state.relays.find((relay) => relay.onion === payload.onion);
+    this.assertRelayIdentity(payload, previous);
+    const now = new Date().toISOString();
+    const record = previous
+      ? {
+        ...previous,
         ...payload,
-        connectionMeta: { ...existing.connectionMeta, ...payload.connectionMeta },
-        lastSeen: new Date().toISOString()
-      };
-    } else {
-      const resolvedFingerprint = payload.fingerprint || this.generateFingerprint(payload.onion);
-      existing = {
+        connectionMeta: { ...previous.connectionMeta, ...payload.connectionMeta },
+        lastSeen: now
+      }
+      : {
         id: payload.onion,
-        createdAt: new Date().toISOString(),
-        lastSeen: new Date().toISOString(),
+        createdAt: now,
+        lastSeen: now,
         ...payload,
-        fingerprint: resolvedFingerprint
+        fingerprint: payload.fingerprint || this.generateFingerprint(payload.onion)
       };
-      state.relays.push(existing);
-    }
-    const canonicalManifest = this.updateCanonicalManifest(state.canonicalManifest, existing.chainSummary);
-    const comparison = compareManifests(canonicalManifest, existing.chainSummary);
-    existing.syncStatus = {
+    const relays = previous
+      ? state.relays.map((relay) => (relay === previous ? record : relay))
+      : [...state.relays, record];
+    const canonicalManifest = await this.promoteVerifiedHead(
+      state.canonicalManifest,
+      relays,
+      record,
+      state.checkpoints ?? []
+    );
+    const comparison = compareManifests(canonicalManifest, record.chainSummary);
+    record.syncStatus = {
       needsSync: Boolean(comparison.missingCount),
       needsRepair: comparison.matches === false && !comparison.missingCount,
       details: comparison
     };
-    const relays = state.relays.map((relay) => (relay.onion === existing.onion ? existing : relay));
-    await this.store.update(() => ({ relays, canonicalManifest }));
-    return existing;
+    // 抽查在 update 之外完成；写回时只替换本中继自己的字段，期间指标轮询写入的内容保留
+    const owned = [...Object.keys(payload), 'connectionMeta', 'lastSeen', ...DIRECTORY_OWNED_FIELDS];
+    await this.store.update((data) => {
+      const current = data.relays.find((relay) => relay.onion === record.onion);
+      if (!current) {
+        return { ...data, relays: [...data.relays, record], canonicalManifest };
+      }
+      const merged = { ...current };
+      owned.forEach((key) => {
+        if (key in record) {
+          merged[key] = record[key];
+        } else {
+          delete merged[key];
+        }
+      });
+      return { ...data, relays: data.relays.map((relay) => (relay === current ? merged : relay)), canonicalManifest };
+    });
+    return record;
   }
 
   async updateRelayMetrics(onion, metricsUpdate = {}) {
@@ -95,12 +212,88 @@ export class DirectoryState {
     });
   }
 
-  updateCanonicalManifest(currentManifest, candidateSummary = {}) {
-    if (!candidateSummary) return currentManifest;
-    if ((candidateSummary.length ?? 0) > (currentManifest.length ?? 0)) {
-      return candidateSummary;
+  updateCanonicalManifest(currentManifest, relays = [], checkpoints = []) {
+    const eligible = relays.filter((relay) => !relay.quarantine);
+    const attestations = buildAttestationIndex(eligible);
+    // 已发布检查点之前的历史视为最终确定，违背检查点的分支不参与选择
+    const candidates = [currentManifest, ...eligible.map((relay) => relay.chainSummary)]
+      .filter(Boolean)
+      .filter((summary) => !contradictsCheckpoints(summary, checkpoints));
+    return chooseCanonicalChain(candidates, attestations) || currentManifest;
+  }
+
+  // 只有经过抽查的链头才能成为规范链：其他中继需已验证当前链头，上报者则在此处现场验证
+  async promoteVerifiedHead(currentManifest, relays, reporter, checkpoints = []) {
+    const reporterHashes = reporter.chainSummary?.hashes ?? [];
+    const canonicalHashes = currentManifest?.hashes ?? [];
+    if (reporter.quarantine && isPrefixOf(reporterHashes, canonicalHashes)) {
+      logger.info(`Relay ${reporter.onion} caught up with canonical chain, lifting quarantine`);
+      delete reporter.quarantine;
+    }
+    const latestHash = reporter.chainSummary?.latestHash;
+    if (latestHash && latestHash === currentManifest?.latestHash) {
+      reporter.verifiedHead = latestHash;
+    }
+    const verified = relays.filter(
+      (relay) => relay === reporter || relay.verifiedHead === relay.chainSummary?.latestHash
+    );
+    const candidate = this.updateCanonicalManifest(currentManifest, verified, checkpoints);
+    if (candidate !== reporter.chainSummary || reporter.verifiedHead === latestHash) {
+      return candidate;
+    }
+    const result = await this.verifyRelayHead(reporter, currentManifest, relays);
+    if (result.ok) {
+      reporter.verifiedHead = latestHash;
+      return candidate;
+    }
+    if (result.pending) {
+      logger.warn(`Could not verify head of relay ${reporter.onion}: ${result.reason}`);
+    } else {
+      logger.warn(`Quarantining relay ${reporter.onion}: ${result.reason}`);
+      reporter.quarantine = { reason: result.reason, head: latestHash, at: new Date().toISOString() };
     }
-    return currentManifest;
+    return this.updateCanonicalManifest(
+      currentManifest,
+      verified.filter((relay) => relay !== reporter),
+      checkpoints
+    );
+  }
+
+  async verifyRelayHead(relay, currentManifest, relays = []) {
+    if (!relay.publicUrl) {
+      return { ok: false, pending: true, reason: 'Relay has no public URL' };
+    }
+    const hashes = relay.chainSummary?.hashes ?? [];
+    const canonicalHashes = currentManifest?.hashes ?? [];
+    const divergeAt = findDivergence(hashes, canonicalHashes);
+    // 锚点为两条链最后一个共同区块；规范链为空时从创世块开始完整校验
+    const anchorHeight = divergeAt === -1 ? Math.min(hashes.length, canonicalHashes.length) - 1 : divergeAt - 1;
+    const anchorHash = anchorHeight >= 0 ? hashes[anchorHeight] : null;
+    const base = relay.publicUrl.replace(/\/$/, '');
+    const endpoint = anchorHash ? `${base}/api/blocks?since=${encodeURIComponent(anchorHash)}` : `${base}/api/blocks`;
+    let data;
+    try {
+      data = await fetchJson(endpoint, { method: 'GET', signal: AbortSignal.timeout(HEAD_VERIFY_TIMEOUT_MS) });
+    } catch (error) {
+      return { ok: false, pending: true, reason: `Relay unreachable: ${error.message}` };
+    }
+    if (data?.pruned) {
+      return { ok: false, pending: true, reason: 'Relay pruned the blocks needed for verification' };
+    }
+    if (!data?.found || !Array.isArray(data.blocks)) {
+      return { ok: false, reason: 'Relay does not serve blocks after the common ancestor' };
+    }
+    const expected = hashes.slice(anchorHeight + 1);
+    // 中继可能在上报之后又出了新块，只核对上报范围内的部分
+    const served = data.blocks.slice(0, expected.length);
+    if (served.length !== expected.length || served.some((block, i) => block.hash !== expected[i])) {
+      return { ok: false, reason: 'Served blocks do not match the reported chain summary' };
+    }
+    const options = { relayKeys: buildRelayKeyRegistry(relays) };
+    const validation = anchorHash
+      ? BlockStore.validateExtension({ index: anchorHeight, hash: anchorHash }, served, options)
+      : BlockStore.validateChain(served, options);
+    return validation.ok ? { ok: true } : { ok: false, reason: validation.reason };
   }
 
   async setCanonicalManifest(summary) {
@@ -113,6 +306,42 @@ export class DirectoryState {
     return data.canonicalManifest;
   }
 
+  async publishCheckpoint() {
+    const signer = await this.ensureIdentity();
+    const data = await this.store.get();
+    const manifest = data.canonicalManifest;
+    if (!manifest?.latestHash || !manifest.length) {
+      return null;
+    }
+    const checkpoints = data.checkpoints ?? [];
+    const last = checkpoints[checkpoints.length - 1];
+    if (last?.hash === manifest.latestHash) {
+      return last;
+    }
+    const checkpoint = buildChainCheckpoint(signer, manifest);
+    await this.store.update((draft) => ({
+      ...draft,
+      checkpoints: [...(draft.checkpoints ?? []), checkpoint].slice(-MAX_CHECKPOINTS)
+    }));
+    return checkpoint;
+  }
+
+  async listCheckpoints() {
+    const signer = await this.ensureIdentity();
+    const data = await this.store.get();
+    return { publicKey: signer.publicKey, fingerprint: signer.fingerprint, checkpoints: data.checkpoints ?? [] };
+  }
+
+  async getDateBeacon(date) {
+    if (!isValidBeaconDate(date)) {
+      const err = new Error('Beacon date must be YYYY-MM-DD within the supported range');
+      err.statusCode = 400;
+      throw err;
+    }
+    const signer = await this.ensureIdentity();
+    return { publicKey: signer.publicKey, beacon: buildDateBeacon(signer, this.beaconSecret, date) };
+  }
+
   async getRelayByOnion(onion) {
     const relays = await this.listRelays();
     return relays.find((relay) => relay.onion === onion);
@@ -11,6 +11,17 @@ import { getAppMeta } from '../../src/lib/appMeta.js';
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const logger = createLogger('relay-server');
 
+function sendSubmissionError(res, error) {
+  const statusCode = Number(error?.statusCode) || 500;
+  if (statusCode === 429 && error.retryAfterMs) {
+    res.setHeader('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+  }
+  res.status(statusCode).json({
+    error: error.message,
+    ...(statusCode < 500 && error.code ? { code: error.code, field: error.field } : {})
+  });
+}
+
 export function createRelayServer() {
   const app = express();
   const state = new RelayState();
@@ -109,23 +120,86 @@ export function createRelayServer() {
   });
 
   app.get('/api/blocks/full', async (req, res) => {
-    const blocks = await state.listBlocks();
-    res.json({ blocks });
+    try {
+      const blocks = await state.listBlocks();
+      res.json({ blocks });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/blocks', async (req, res) => {
+    const sinceHash = typeof req.query.since === 'string' ? req.query.since.trim() : '';
+    const sinceHeight = Number.parseInt(req.query.sinceHeight, 10);
+    try {
+      const result = await state.listBlocksSince({
+        sinceHash: sinceHash || null,
+        sinceHeight: Number.isFinite(sinceHeight) ? sinceHeight : null
+      });
+      res.json(result);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/letters/:fingerprint/proof', async (req, res) => {
+    try {
+      const result = await state.getLetterProofs(req.params.fingerprint);
+      res.json(result);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/letters/tickets/:id', async (req, res) => {
+    try {
+      res.json({ ticket: await state.getTicket(req.params.id) });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
   });
 
   app.post('/api/letters', async (req, res) => {
     try {
-      const { payload, ownerFingerprint, relayMetrics } = req.body;
-      if (!payload || !ownerFingerprint) {
-        res.status(400).json({ error: 'payload and ownerFingerprint are required' });
+      const { payload, ownerFingerprint, recipientFingerprints, relayMetrics, stamp } = req.body;
+      const async = req.body.async === true || req.query.async === '1';
+      if (!payload) {
+        res.status(400).json({ error: 'payload is required' });
+        return;
+      }
+      await state.admitSubmission({
+        ip: req.ip,
+        record: payload,
+        fingerprints: [ownerFingerprint, ...(Array.isArray(recipientFingerprints) ? recipientFingerprints : [])],
+        stamp
+      });
+      const result = await state.acceptLetter(
+        payload,
+        ownerFingerprint,
+        relayMetrics,
+        recipientFingerprints,
+        { async }
+      );
+      if (async) {
+        res.status(202).json({ ticket: result.ticket, statusUrl: `/api/letters/tickets/${result.ticket.id}` });
         return;
       }
-      const block = await state.acceptLetter(payload, ownerFingerprint, relayMetrics);
-      res.json({ block });
+      const { block, position, receipt } = result;
+      res.json({ block, blockIndex: block.index, position, receipt });
     } catch (error) {
       logger.error('Failed to accept letter', error.message);
-      const statusCode = Number(error?.statusCode) || 500;
-      res.status(statusCode).json({ error: error.message });
+      sendSubmissionError(res, error);
+    }
+  });
+
+  app.post('/api/tombstones', async (req, res) => {
+    try {
+      await state.admitSubmission({ ip: req.ip, record: req.body?.tombstone, requireStamp: false });
+      const { block, position } = await state.acceptTombstone(req.body?.tombstone);
+      res.json({ block, blockIndex: block.index, position });
+    } catch (error) {
+      logger.warn('Failed to accept tombstone', error.message);
+      sendSubmissionError(res, error);
     }
   });
 
@@ -139,6 +213,15 @@ export function createRelayServer() {
     res.json(result);
   });
 
+  app.post('/api/gossip/blocks', async (req, res) => {
+    try {
+      res.json(await state.receiveGossip(req.body));
+    } catch (error) {
+      logger.warn('Rejected block gossip', error.message);
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
   // Admin APIs (require authentication)
   const requireAuth = auth.requireAuth;
 
@@ -190,7 +273,7 @@ export function createRelayServer() {
 
   app.get('/api/relay/directory/status', requireAuth, async (req, res) => {
     const config = await state.config.get();
-    await state.ensureFingerprint(config.onion);
+    await state.ensureFingerprint();
     const statusData = {
       registered: !!config.directoryUrl,
       directoryUrl: config.directoryUrl,
@@ -346,6 +429,58 @@ export function createRelayServer() {
     res.json({ success: true });
   });
 
+  app.get('/api/relay/conflicts', requireAuth, async (req, res) => {
+    try {
+      res.json({ snapshots: await state.listConflictSnapshots(), lastConflict: state.lastConflictInfo });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/relay/conflicts/:id', requireAuth, async (req, res) => {
+    try {
+      res.json(await state.diffConflictSnapshot(req.params.id));
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  app.post('/api/relay/conflicts/:id/reinject', requireAuth, async (req, res) => {
+    try {
+      const letters = Array.isArray(req.body?.letters) ? req.body.letters : [];
+      res.json(await state.reinjectConflictLetters(req.params.id, letters));
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  app.post('/api/relay/conflicts/:id/restore', requireAuth, async (req, res) => {
+    try {
+      res.json(await state.restoreConflictSnapshot(req.params.id));
+    } catch (error) {
+      logger.error('Failed to restore conflict snapshot', error.message);
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/relay/gossip', requireAuth, async (req, res) => {
+    res.json(await state.getGossipStatus());
+  });
+
+  app.get('/api/relay/dead-letters', requireAuth, async (req, res) => {
+    res.json({ letters: await state.listDeadLetters() });
+  });
+
+  app.post('/api/relay/dead-letters/retry', requireAuth, async (req, res) => {
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids : [];
+    res.json(await state.retryDeadLetters(ids));
+  });
+
+  app.post('/api/relay/dead-letters/purge', requireAuth, async (req, res) => {
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids : [];
+    res.json(await state.purgeDeadLetters(ids));
+  });
+
   app.get('/api/relay/tor/status', requireAuth, async (req, res) => {
     res.json(await torService.status());
   });
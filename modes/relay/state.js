@@ -1,20 +1,61 @@
 import path from 'node:path';
-import { randomUUID, createHash } from 'node:crypto';
+import { randomUUID } from 'node:crypto';
 import fs from 'fs-extra';
-import { BlockStore } from '../../src/lib/blockchain.js';
+import { BlockStore, recordContentId } from '../../src/lib/blockchain.js';
+import {
+  fingerprintRelayKey,
+  generateSigningKeyPair,
+  hashPayload,
+  isStealthLetter,
+  LETTER_SIZE_BUCKETS,
+  letterCiphertextSize,
+  listLetterRecipients
+} from '../../src/lib/crypto.js';
 import { modeDataPath } from '../../src/lib/paths.js';
+import { verifyTombstone } from '../../src/lib/tombstones.js';
+import {
+  DEFAULT_MAX_CLOCK_SKEW_MS,
+  validateLetterPayload,
+  validateRecipientFingerprints
+} from '../../src/lib/letterSchema.js';
+import { DEFAULT_ADMISSION, RateLimiter, normalizeAdmissionPolicy, verifyProofOfWork } from '../../src/lib/admission.js';
+import {
+  DEFAULT_GOSSIP,
+  buildGossipMessage,
+  normalizeGossipPolicy,
+  selectGossipPeers,
+  verifyGossipMessage
+} from '../../src/lib/gossip.js';
 import { ModeConfig } from '../../src/lib/modeConfig.js';
 import { buildRelayMetrics } from '../../src/lib/metrics.js';
-import { fetchJson, safeFetch } from '../../src/lib/network.js';
-import { chooseRelay } from '../../src/lib/sync.js';
+import { fetchJson, postJson, safeFetch } from '../../src/lib/network.js';
+import { buildRelayKeyRegistry, fetchNetworkView, pullIncrementalBlocks } from '../../src/lib/sync.js';
+import { selectBestRelay } from '../../src/lib/relaySelector.js';
+import { compareChains, findDivergence } from '../../src/lib/forkChoice.js';
 import { createLogger } from '../../src/lib/logger.js';
 import { JsonStore } from '../../src/lib/jsonStore.js';
+import { Mutex } from '../../src/lib/mutex.js';
+import { buildLetterReceipt } from '../../src/lib/receipts.js';
 
 const logger = createLogger('relay-state');
 const BLOCKS_FILENAME = 'blocks.json';
 const FALLBACK_CHAIN_PREFIX = 'bootstrap';
 const QUEUE_FILENAME = 'pending-letters.json';
+const DEAD_LETTERS_FILENAME = 'dead-letters.json';
+const TICKETS_FILENAME = 'letter-tickets.json';
+const GOSSIP_PEERS_FILENAME = 'gossip-peers.json';
+const MAX_TICKETS = 1000;
+const CONFLICT_SNAPSHOT_PATTERN = /^blocks-(\d+)$/;
 const DEFAULT_RETRY_DELAY_MS = 2000;
+const DEFAULT_QUEUE_RETRY = { baseDelayMs: 2000, maxDelayMs: 300000, maxAttempts: 8 };
+const MAX_DEAD_LETTERS = 500;
+const QUEUE_IDLE_POLL_MS = 1000;
+// 墓碑优先上链以尽快撤回；冲突重放的信件已向寄信人出具过回执，排在新信件之前
+const QUEUE_PRIORITY = { letter: 0, replay: 1, tombstone: 2 };
+const DEFAULT_BATCHING = { enabled: false, windowMs: 3000, maxLetters: 16 };
+const DEFAULT_ARCHIVAL = { mode: 'full', keepBlocks: 1000 };
+const DEFAULT_MAX_LETTER_BYTES = 65536;
+const BATCH_POLL_INTERVAL_MS = 250;
 
 function createDeferred() {
   let resolve;
@@ -26,6 +67,36 @@ function createDeferred() {
   return { promise, resolve, reject };
 }
 
+function isRetryableError(error) {
+  return Boolean(error?.retryable || error?.statusCode === 503);
+}
+
+// 队列条目以 letterPayload 存信封，换算成与链上记录一致的内容 ID
+function entryContentId(entry) {
+  return recordContentId(entry.tombstone ? { tombstone: entry.tombstone } : { payload: entry.payload ?? entry.letterPayload });
+}
+
+function orphanQueueEntry(block, letter, position) {
+  const record = letter.tombstone
+    ? { tombstone: letter.tombstone }
+    : {
+      letterPayload: letter.payload,
+      ownerFingerprint: letter.ownerFingerprint,
+      recipientFingerprints: letter.recipientFingerprints ?? []
+    };
+  return {
+    id: randomUUID(),
+    ...record,
+    relayMetrics: block.relayMetrics ?? {},
+    priority: letter.tombstone ? QUEUE_PRIORITY.tombstone : QUEUE_PRIORITY.replay,
+    enqueuedAt: new Date().toISOString(),
+    attempts: 0,
+    nextAttemptAt: null,
+    replayedFromBlock: block.index,
+    replayedFromPosition: position
+  };
+}
+
 function wait(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
@@ -44,6 +115,7 @@ export class RelayState {
     this.blockStore = null;
     this.identityStore = new JsonStore(path.join(this.dataRoot, 'identity.json'), { fingerprint: null, createdAt: null });
     this.fingerprint = null;
+    this.signer = null;
     this.currentGenesisHash = null;
     this.config = new ModeConfig('relay', {
       directoryUrl: 'http://localhost:4600',
@@ -51,6 +123,15 @@ export class RelayState {
       publicUrl: 'http://localhost:4700',
       publicAccessUrl: '',
       metrics: buildRelayMetrics({ reachability: 0.9, latencyMs: 120 }),
+      batching: { ...DEFAULT_BATCHING },
+      archival: { ...DEFAULT_ARCHIVAL },
+      maxLetterBytes: DEFAULT_MAX_LETTER_BYTES,
+      maxClockSkewMs: DEFAULT_MAX_CLOCK_SKEW_MS,
+      admission: { ...DEFAULT_ADMISSION },
+      queueRetry: { ...DEFAULT_QUEUE_RETRY },
+      gossip: { ...DEFAULT_GOSSIP },
+      requireSignedBlocks: false,
+      directoryKeys: {},
       activeGenesisHash: null
     });
     this.lastReportInfo = { delivered: false, timestamp: null, reason: 'init', consecutiveFailures: 0 };
@@ -61,11 +142,21 @@ export class RelayState {
     this.lastPreWriteSync = null;
     this.lastSyncTime = null;
     this.queueStore = new JsonStore(path.join(this.dataRoot, QUEUE_FILENAME), { queue: [] });
+    this.deadLetterStore = new JsonStore(path.join(this.dataRoot, DEAD_LETTERS_FILENAME), { letters: [] });
+    this.ticketStore = new JsonStore(path.join(this.dataRoot, TICKETS_FILENAME), { tickets: {} });
+    // relays 为目录上次给出的全部中继（用于认证推送方、目录离线时校验区块签名），peers 为主动推送的对象
+    this.peerStore = new JsonStore(path.join(this.dataRoot, GOSSIP_PEERS_FILENAME), { relays: [], peers: [], refreshedAt: null });
     this.pendingQueue = [];
     this.queueDeferred = new Map();
+    this.ipLimiter = new RateLimiter(DEFAULT_ADMISSION.perIp);
+    this.fingerprintLimiter = new RateLimiter(DEFAULT_ADMISSION.perFingerprint);
     this.processingQueue = false;
     this.lastQueueError = null;
     this.lastConflictInfo = null;
+    // 出块、追加远端区块、整链替换及其重放与快照记账都经过这把锁；远端请求一律在锁外完成
+    this.chainMutex = new Mutex();
+    this.lastGossipInfo = null;
+    this.lastGossipPull = null;
   }
 
   async init() {
@@ -74,8 +165,11 @@ export class RelayState {
     const cfg = await this.config.get();
     const normalizedConfig = await this.ensurePublicAccessAlignment(cfg);
     const activeConfig = normalizedConfig || cfg;
-    await this.ensureFingerprint(activeConfig.onion);
+    await this.ensureIdentity();
     await this.ensureChainForGenesis(activeConfig.activeGenesisHash, { allowRenameToActual: !activeConfig.activeGenesisHash });
+    await this.enforceArchivalPolicy();
+    // 启动时建好内容索引，入队与出块查重不必再扫全链
+    await this.blockStore.getContentIndex();
     await this.loadPendingQueue();
     this.processQueueSoon();
   }
@@ -99,28 +193,185 @@ export class RelayState {
     });
   }
 
-  async ensureFingerprint(onion) {
-    if (this.fingerprint) {
-      return this.fingerprint;
+  async ensureFingerprint() {
+    const identity = await this.ensureIdentity();
+    return identity.fingerprint;
+  }
+
+  async ensureIdentity() {
+    if (this.signer) {
+      return this.signer;
+    }
+    let identity = await this.identityStore.get();
+    if (!identity?.publicKey || !identity?.privateKey) {
+      const { publicKey, privateKey } = generateSigningKeyPair();
+      const fingerprint = fingerprintRelayKey(publicKey);
+      if (identity?.fingerprint) {
+        logger.info('Upgrading relay identity to an Ed25519 keypair', { previous: identity.fingerprint, fingerprint });
+      }
+      const now = new Date().toISOString();
+      identity = await this.identityStore.update(() => ({
+        fingerprint,
+        publicKey,
+        privateKey,
+        createdAt: identity?.createdAt || now,
+        keyCreatedAt: now
+      }));
+    }
+    this.fingerprint = identity.fingerprint;
+    this.signer = { fingerprint: identity.fingerprint, publicKey: identity.publicKey, privateKey: identity.privateKey };
+    return this.signer;
+  }
+
+  async loadNetworkView() {
+    const cfg = await this.config.get();
+    const pinnedKeys = cfg.directoryKeys || {};
+    const view = await fetchNetworkView(cfg.directoryUrl, { directoryKey: pinnedKeys[cfg.directoryUrl] });
+    if (view.keyMismatch) {
+      logger.warn('Directory checkpoint key differs from pinned key, ignoring checkpoints');
+    } else if (!pinnedKeys[cfg.directoryUrl] && view.directoryKey) {
+      await this.config.update({ directoryKeys: { ...pinnedKeys, [cfg.directoryUrl]: view.directoryKey } });
+    }
+    return view;
+  }
+
+  async getValidationOptions(networkView = null) {
+    const cfg = await this.config.get();
+    const view = networkView || (await this.loadNetworkView());
+    const relayKeys = new Map(view.relayKeys);
+    const identity = await this.ensureIdentity();
+    relayKeys.set(identity.fingerprint, identity.publicKey);
+    return { relayKeys, requireSignatures: Boolean(cfg.requireSignedBlocks), checkpoints: view.checkpoints };
+  }
+
+  normalizeRecipients(letterPayload, ownerFingerprint, recipientFingerprints = []) {
+    const recipients = [...new Set([ownerFingerprint, ...(Array.isArray(recipientFingerprints) ? recipientFingerprints : [])])]
+      .filter(Boolean);
+    // 隐匿寻址的信件不落任何指纹，附带的指纹会让整条链重新关联到收件人
+    if (isStealthLetter(letterPayload)) {
+      if (recipients.length) {
+        const err = new Error('Stealth letters must not carry recipient fingerprints');
+        err.statusCode = 400;
+        throw err;
+      }
+      return recipients;
+    }
+    if (!recipients.length) {
+      const err = new Error('ownerFingerprint is required');
+      err.statusCode = 400;
+      throw err;
+    }
+    const addressed = listLetterRecipients(letterPayload);
+    if (addressed.length && recipients.some((fingerprint) => !addressed.includes(fingerprint))) {
+      const err = new Error('Recipient fingerprints do not match the letter envelope');
+      err.statusCode = 400;
+      throw err;
+    }
+    return recipients;
+  }
+
+  async getAdmissionPolicy() {
+    const cfg = await this.config.get();
+    return normalizeAdmissionPolicy(cfg.admission, { onion: /\.onion$/i.test(cfg.onion ?? '') });
+  }
+
+  // 入队之前的准入检查：请求体大小、工作量证明、按来源 IP 与收件人指纹限流（IP 限流可能已按 ipSource 关闭）
+  async admitSubmission({ ip, record, fingerprints = [], stamp, requireStamp = true }) {
+    const policy = await this.getAdmissionPolicy();
+    this.ipLimiter.configure(policy.perIp);
+    this.fingerprintLimiter.configure(policy.perFingerprint);
+    const size = Buffer.byteLength(JSON.stringify(record ?? null), 'utf8');
+    if (size > policy.maxPayloadBytes) {
+      const err = new Error(`Submission of ${size} bytes exceeds the relay limit of ${policy.maxPayloadBytes} bytes`);
+      err.statusCode = 413;
+      throw err;
     }
-    const identity = await this.identityStore.get();
-    if (identity?.fingerprint) {
-      this.fingerprint = identity.fingerprint;
-      return this.fingerprint;
+    if (requireStamp && !verifyProofOfWork(hashPayload(record), stamp, policy.powDifficulty)) {
+      const err = new Error(`A proof-of-work stamp of difficulty ${policy.powDifficulty} is required`);
+      err.statusCode = 403;
+      throw err;
     }
-    const fingerprint = this.generateFingerprint(onion);
-    await this.identityStore.update(() => ({ fingerprint, createdAt: new Date().toISOString() }));
-    this.fingerprint = fingerprint;
-    return fingerprint;
+    const checks = [
+      this.ipLimiter.take(ip),
+      ...[...new Set(fingerprints.filter(Boolean))].map((fingerprint) => this.fingerprintLimiter.take(fingerprint))
+    ];
+    const blocked = checks.find((check) => !check.ok);
+    if (blocked) {
+      const err = new Error('Too many submissions, slow down');
+      err.statusCode = 429;
+      err.retryAfterMs = blocked.retryAfterMs;
+      throw err;
+    }
+    return policy;
+  }
+
+  async getLetterSizePolicy() {
+    const cfg = await this.config.get();
+    const maxLetterBytes = Number(cfg.maxLetterBytes) > 0 ? Number(cfg.maxLetterBytes) : DEFAULT_MAX_LETTER_BYTES;
+    return { maxLetterBytes, buckets: LETTER_SIZE_BUCKETS.filter((bucket) => bucket <= maxLetterBytes) };
   }
 
-  generateFingerprint(onion) {
-    const seed = `${onion || 'relay'}-${randomUUID()}-${Date.now()}`;
-    return createHash('sha256').update(seed).digest('hex').slice(0, 48).toUpperCase();
+  // 只接受补齐到已知档位的密文，未补齐的信件会把原文长度写进公开链
+  async assertLetterSize(letterPayload) {
+    const { maxLetterBytes, buckets } = await this.getLetterSizePolicy();
+    const size = letterCiphertextSize(letterPayload);
+    if (size > maxLetterBytes) {
+      const err = new Error(`Letter ciphertext of ${size} bytes exceeds the relay limit of ${maxLetterBytes} bytes`);
+      err.statusCode = 413;
+      err.code = 'letter-too-large';
+      throw err;
+    }
+    if (!buckets.includes(size)) {
+      const err = new Error(`Letter ciphertext of ${size} bytes does not match a padding bucket`);
+      err.statusCode = 400;
+      err.code = 'invalid-padding';
+      throw err;
+    }
   }
 
-  async acceptLetter(letterPayload, ownerFingerprint, relayMetrics = {}) {
-    return this.enqueueLetter({ letterPayload, ownerFingerprint, relayMetrics });
+  // 异步模式只返回队列票据，封块结果通过 getTicket 查询，避免请求在上链前的同步中超时
+  async acceptLetter(letterPayload, ownerFingerprint, relayMetrics = {}, recipientFingerprints = [], { async = false } = {}) {
+    const queued = await this.enqueueLetter({
+      letterPayload,
+      ownerFingerprint,
+      recipientFingerprints,
+      relayMetrics
+    }, { ticket: async });
+    if (async) {
+      return { ticket: await this.getTicket(queued.ticketId) };
+    }
+    const { block, position } = queued;
+    const receipt = buildLetterReceipt(await this.ensureIdentity(), { block, position });
+    return { block, position, receipt };
+  }
+
+  // 只接受能对照原信验证的墓碑；原信已被裁剪的中继无法验证，交由完整归档中继处理
+  async acceptTombstone(tombstone) {
+    if (!tombstone?.payloadHash) {
+      const err = new Error('tombstone.payloadHash is required');
+      err.statusCode = 400;
+      throw err;
+    }
+    const original = await this.blockStore.findLetterByPayloadHash(tombstone.payloadHash);
+    if (!original) {
+      const err = new Error('Referenced letter is not on this relay');
+      err.statusCode = 404;
+      throw err;
+    }
+    const check = verifyTombstone(tombstone, original.letter.payload);
+    if (!check.ok) {
+      const err = new Error(check.reason);
+      err.statusCode = 400;
+      throw err;
+    }
+    const existing = (await this.blockStore.getTombstones()).get(tombstone.payloadHash) ?? [];
+    const queued = this.pendingQueue.some((entry) => entry.tombstone?.payloadHash === tombstone.payloadHash);
+    if (existing.length || queued) {
+      const err = new Error('Letter has already been revoked');
+      err.statusCode = 409;
+      throw err;
+    }
+    return this.enqueueRecord({ tombstone }, { priority: QUEUE_PRIORITY.tombstone });
   }
 
   async loadPendingQueue() {
@@ -132,17 +383,53 @@ export class RelayState {
     await this.queueStore.update(() => ({ queue: this.pendingQueue }));
   }
 
-  async enqueueLetter({ letterPayload, ownerFingerprint, relayMetrics = {} }) {
+  // 格式不合规的信封一旦上链就无法清除，因此入队前严格校验
+  async assertLetterSchema(letterPayload, ownerFingerprint, recipientFingerprints) {
+    const cfg = await this.config.get();
+    const maxClockSkewMs = Number(cfg.maxClockSkewMs) > 0 ? Number(cfg.maxClockSkewMs) : DEFAULT_MAX_CLOCK_SKEW_MS;
+    const check = [
+      validateRecipientFingerprints([ownerFingerprint], 'ownerFingerprint'),
+      validateRecipientFingerprints(recipientFingerprints ?? []),
+      validateLetterPayload(letterPayload, { maxClockSkewMs })
+    ].find((result) => !result.ok);
+    if (check) {
+      const err = new Error(check.reason);
+      err.statusCode = 400;
+      err.code = check.code;
+      err.field = check.field;
+      throw err;
+    }
+  }
+
+  async enqueueLetter({ letterPayload, ownerFingerprint, recipientFingerprints = [], relayMetrics = {} }, options = {}) {
+    await this.assertLetterSchema(letterPayload, ownerFingerprint, recipientFingerprints);
+    await this.assertLetterSize(letterPayload);
+    const recipients = this.normalizeRecipients(letterPayload, ownerFingerprint, recipientFingerprints);
+    return this.enqueueRecord({
+      letterPayload,
+      ownerFingerprint: recipients[0],
+      recipientFingerprints: recipients,
+      relayMetrics
+    }, options);
+  }
+
+  async enqueueRecord(record, { priority = QUEUE_PRIORITY.letter, ticket = false } = {}) {
     const entry = {
       id: randomUUID(),
-      letterPayload,
-      ownerFingerprint,
-      relayMetrics,
+      relayMetrics: {},
+      ...record,
+      priority,
       enqueuedAt: new Date().toISOString(),
-      attempts: 0
+      attempts: 0,
+      nextAttemptAt: null,
+      ...(ticket ? { ticket: true } : {})
     };
     this.pendingQueue.push(entry);
     await this.persistQueue();
+    if (ticket) {
+      this.processQueueSoon();
+      return { ticketId: entry.id };
+    }
     const deferred = createDeferred();
     this.queueDeferred.set(entry.id, deferred);
     this.processQueueSoon();
@@ -166,43 +453,288 @@ export class RelayState {
     });
   }
 
+  async getBatchingPolicy() {
+    const cfg = await this.config.get();
+    const batching = { ...DEFAULT_BATCHING, ...(cfg.batching || {}) };
+    return {
+      enabled: Boolean(batching.enabled),
+      windowMs: Math.max(0, Number(batching.windowMs) || 0),
+      maxLetters: Math.max(1, Number.parseInt(batching.maxLetters, 10) || 1)
+    };
+  }
+
+  async getArchivalPolicy() {
+    const cfg = await this.config.get();
+    return { ...DEFAULT_ARCHIVAL, ...(cfg.archival || {}) };
+  }
+
+  async enforceArchivalPolicy() {
+    if (!this.blockStore) return { pruned: false };
+    this.blockStore.setArchivalPolicy(await this.getArchivalPolicy());
+    try {
+      const result = await this.blockStore.applyArchivalPolicy();
+      if (result.pruned) {
+        logger.info('Pruned block bodies below checkpoint', { prunedBelow: result.prunedBelow });
+      }
+      return result;
+    } catch (error) {
+      logger.warn('Failed to apply archival policy', error.message);
+      return { pruned: false, error: error.message };
+    }
+  }
+
+  async getRetryPolicy() {
+    const cfg = await this.config.get();
+    const retry = { ...DEFAULT_QUEUE_RETRY, ...(cfg.queueRetry || {}) };
+    return {
+      baseDelayMs: Math.max(0, Number(retry.baseDelayMs) || 0),
+      maxDelayMs: Math.max(0, Number(retry.maxDelayMs) || 0),
+      maxAttempts: Math.max(1, Number.parseInt(retry.maxAttempts, 10) || 1)
+    };
+  }
+
+  // 已到重试时间的条目，按优先级从高到低、同级按入队先后排列
+  readyEntries(now = Date.now()) {
+    return this.pendingQueue
+      .filter((entry) => !entry.nextAttemptAt || Date.parse(entry.nextAttemptAt) <= now)
+      .sort((a, b) => (b.priority ?? 0) - (a.priority ?? 0) || Date.parse(a.enqueuedAt) - Date.parse(b.enqueuedAt));
+  }
+
+  nextRetryDelay(now = Date.now()) {
+    const due = this.pendingQueue
+      .map((entry) => Date.parse(entry.nextAttemptAt))
+      .filter((time) => !Number.isNaN(time));
+    return due.length ? Math.max(0, Math.min(...due) - now) : 0;
+  }
+
+  async collectBatch() {
+    const policy = await this.getBatchingPolicy();
+    if (!policy.enabled) {
+      return { entries: this.readyEntries().slice(0, 1), policy };
+    }
+    const ready = this.readyEntries();
+    const oldest = Math.min(...ready.map((entry) => Date.parse(entry.enqueuedAt) || Date.now()), Date.now());
+    let remaining = oldest + policy.windowMs - Date.now();
+    while (remaining > 0 && this.pendingQueue.length > 0 && this.readyEntries().length < policy.maxLetters) {
+      await wait(Math.min(remaining, BATCH_POLL_INTERVAL_MS));
+      remaining = oldest + policy.windowMs - Date.now();
+    }
+    return { entries: this.readyEntries().slice(0, policy.maxLetters), policy };
+  }
+
+  removeFromQueue(entries) {
+    const ids = new Set(entries.map((entry) => entry.id));
+    this.pendingQueue = this.pendingQueue.filter((entry) => !ids.has(entry.id));
+  }
+
   async drainQueue() {
     while (this.pendingQueue.length > 0) {
-      const entry = this.pendingQueue[0];
-      try {
-        const block = await this.processQueueEntry(entry);
-        this.pendingQueue.shift();
-        await this.persistQueue();
-        this.resolveQueueEntry(entry.id, block);
-      } catch (error) {
-        const retryable = error?.retryable || error?.statusCode === 503;
-        this.lastQueueError = { message: error.message, at: new Date().toISOString() };
-        if (retryable) {
-          await wait(error.retryDelayMs ?? DEFAULT_RETRY_DELAY_MS);
-          continue;
-        }
-        logger.error('Dropping queue entry after unrecoverable failure', {
-          error: error.message,
-          entryId: entry.id
-        });
-        this.pendingQueue.shift();
-        await this.persistQueue();
-        this.rejectQueueEntry(entry.id, error);
+      const { entries, policy } = await this.collectBatch();
+      if (!entries.length) {
+        // 全部条目都在退避中：短轮询等待，期间新入队的信件也能及时处理
+        await wait(Math.min(this.nextRetryDelay() || QUEUE_IDLE_POLL_MS, QUEUE_IDLE_POLL_MS));
+        continue;
       }
+      await this.sealEntries(entries, policy);
     }
     this.processingQueue = false;
   }
 
-  async processQueueEntry(entry) {
-    entry.attempts += 1;
+  async sealEntries(entries, policy) {
+    try {
+      const placements = await this.processQueueBatch(entries, policy);
+      this.removeFromQueue(entries);
+      await this.persistQueue();
+      entries.forEach((entry, index) => {
+        this.resolveQueueEntry(entry.id, placements[index]);
+      });
+      await this.recordTicketOutcomes(entries, { placements });
+    } catch (error) {
+      this.lastQueueError = { message: error.message, at: new Date().toISOString() };
+      if (entries.length > 1 && !isRetryableError(error)) {
+        // 不可重试的错误可能只来自其中一封信：逐封重新封块找出它，其余信件照常上链，这次整批失败不计入次数
+        logger.warn('Batch rejected, sealing entries one by one', { error: error.message, entries: entries.length });
+        for (const entry of entries) {
+          entry.attempts -= 1;
+          await this.sealEntries([entry], policy);
+        }
+        return;
+      }
+      await this.handleBatchFailure(entries, error);
+    }
+  }
+
+  async processQueueBatch(entries, policy) {
+    entries.forEach((entry) => {
+      entry.attempts += 1;
+    });
     await this.ensureFreshChainBeforeWrite();
-    const block = await this.blockStore.appendLetterBlock(entry.letterPayload, entry.ownerFingerprint, entry.relayMetrics);
+    const letters = entries.map((entry) => (entry.tombstone ? { tombstone: entry.tombstone } : {
+      ownerFingerprint: entry.ownerFingerprint,
+      recipientFingerprints: entry.recipientFingerprints,
+      payload: entry.letterPayload
+    }));
+    let relayMetrics = entries[0].relayMetrics ?? {};
+    if (policy.enabled) {
+      const cfg = await this.config.get();
+      relayMetrics = cfg.metrics ?? {};
+    }
+    // 已在链上的信件不会再次写入，回执指向其首次上链的位置；须在裁剪前取得
+    const { block, placements } = await this.chainMutex.run(async () => ({
+      block: await this.blockStore.appendLettersBlock(letters, relayMetrics),
+      placements: await Promise.all(letters.map((letter) => this.blockStore.findContent(recordContentId(letter))))
+    }));
+    if (!block) {
+      logger.info('Skipped batch already present on chain', { letters: letters.length });
+      return placements;
+    }
+    await this.enforceArchivalPolicy();
+    this.gossipBlocks([block]).catch((err) => logger.warn('Block gossip failed', err.message));
     try {
       await this.reportToDirectory('post-block');
     } catch (err) {
       logger.warn('Post-block directory notification failed', err.message);
     }
-    return block;
+    return placements;
+  }
+
+  // 可重试的失败按条目指数退避，不再卡住队首；超过次数或不可重试的条目转入死信
+  async handleBatchFailure(entries, error) {
+    const retryable = isRetryableError(error);
+    const policy = await this.getRetryPolicy();
+    const now = Date.now();
+    const exhausted = [];
+    entries.forEach((entry) => {
+      entry.lastError = error.message;
+      if (retryable && entry.attempts < policy.maxAttempts) {
+        const backoff = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** Math.max(0, entry.attempts - 1));
+        entry.nextAttemptAt = new Date(now + backoff).toISOString();
+      } else {
+        exhausted.push(entry);
+      }
+    });
+    if (exhausted.length) {
+      logger.error('Moving queue entries to dead letters', {
+        error: error.message,
+        retryable,
+        entryIds: exhausted.map((entry) => entry.id)
+      });
+      this.removeFromQueue(exhausted);
+      await this.appendDeadLetters(exhausted, { error: error.message, retryable });
+    }
+    await this.persistQueue();
+    exhausted.forEach((entry) => this.rejectQueueEntry(entry.id, error));
+    await this.recordTicketOutcomes(exhausted, { error });
+  }
+
+  async recordTicketOutcomes(entries, { placements = null, error = null }) {
+    const ticketed = entries.filter((entry) => entry.ticket);
+    if (!ticketed.length) {
+      return;
+    }
+    const identity = placements ? await this.ensureIdentity() : null;
+    const updatedAt = new Date().toISOString();
+    await this.ticketStore.update((data) => {
+      const tickets = { ...(data.tickets ?? {}) };
+      ticketed.forEach((entry) => {
+        const base = { id: entry.id, enqueuedAt: entry.enqueuedAt, attempts: entry.attempts, updatedAt };
+        if (placements) {
+          const { block, position } = placements[entries.indexOf(entry)];
+          tickets[entry.id] = {
+            ...base,
+            status: 'sealed',
+            blockIndex: block.index,
+            blockHash: block.hash,
+            position,
+            receipt: buildLetterReceipt(identity, { block, position })
+          };
+        } else {
+          tickets[entry.id] = { ...base, status: 'failed', error: error.message };
+        }
+      });
+      const retained = Object.values(tickets)
+        .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt))
+        .slice(0, MAX_TICKETS);
+      return { tickets: Object.fromEntries(retained.map((ticket) => [ticket.id, ticket])) };
+    });
+  }
+
+  // 仍在队列中的票据（含从死信重试的）以队列状态为准
+  async getTicket(id) {
+    const queued = this.pendingQueue.find((entry) => entry.id === id);
+    if (queued) {
+      return {
+        id,
+        status: 'queued',
+        enqueuedAt: queued.enqueuedAt,
+        attempts: queued.attempts,
+        nextAttemptAt: queued.nextAttemptAt ?? null,
+        lastError: queued.lastError ?? null
+      };
+    }
+    const { tickets = {} } = await this.ticketStore.get();
+    if (!tickets[id]) {
+      const err = new Error('Unknown letter ticket');
+      err.statusCode = 404;
+      throw err;
+    }
+    return tickets[id];
+  }
+
+  async appendDeadLetters(entries, { error, retryable }) {
+    const failedAt = new Date().toISOString();
+    await this.deadLetterStore.update((data) => ({
+      letters: [
+        ...(data.letters ?? []),
+        ...entries.map((entry) => ({ ...entry, failedAt, error, retryable }))
+      ].slice(-MAX_DEAD_LETTERS)
+    }));
+  }
+
+  async listDeadLetters() {
+    const { letters = [] } = await this.deadLetterStore.get();
+    return letters.map((entry) => ({
+      id: entry.id,
+      kind: entry.tombstone ? 'tombstone' : 'letter',
+      ownerFingerprint: entry.ownerFingerprint ?? null,
+      enqueuedAt: entry.enqueuedAt,
+      failedAt: entry.failedAt,
+      attempts: entry.attempts,
+      retryable: entry.retryable,
+      error: entry.error
+    }));
+  }
+
+  // ids 为空时作用于全部死信
+  async takeDeadLetters(ids = []) {
+    const selected = new Set(ids);
+    let taken = [];
+    await this.deadLetterStore.update((data) => {
+      const letters = data.letters ?? [];
+      taken = selected.size ? letters.filter((entry) => selected.has(entry.id)) : letters;
+      return { letters: selected.size ? letters.filter((entry) => !selected.has(entry.id)) : [] };
+    });
+    return taken;
+  }
+
+  async retryDeadLetters(ids = []) {
+    const entries = await this.takeDeadLetters(ids);
+    if (!entries.length) {
+      return { retried: 0 };
+    }
+    this.pendingQueue.push(...entries.map(({ failedAt, error, retryable, lastError, ...entry }) => ({
+      ...entry,
+      attempts: 0,
+      nextAttemptAt: null
+    })));
+    await this.persistQueue();
+    this.processQueueSoon();
+    return { retried: entries.length };
+  }
+
+  async purgeDeadLetters(ids = []) {
+    const entries = await this.takeDeadLetters(ids);
+    return { purged: entries.length };
   }
 
   resolveQueueEntry(id, payload) {
@@ -230,52 +762,70 @@ export class RelayState {
   }
 
   async getQueueStatus() {
+    const { letters: deadLetters = [] } = await this.deadLetterStore.get();
+    const ready = this.readyEntries();
+    const readyIds = new Set(ready.map((entry) => entry.id));
     return {
       pending: this.pendingQueue.length,
       processing: this.processingQueue,
+      batching: await this.getBatchingPolicy(),
+      retry: await this.getRetryPolicy(),
+      deadLetters: deadLetters.length,
       lastError: this.lastQueueError,
       lastConflict: this.lastConflictInfo,
-      items: this.pendingQueue.slice(0, 10).map((entry) => ({
-        id: entry.id,
-        enqueuedAt: entry.enqueuedAt,
-        attempts: entry.attempts,
-        ownerFingerprint: entry.ownerFingerprint
-      }))
+      items: [...ready, ...this.pendingQueue.filter((entry) => !readyIds.has(entry.id))]
+        .slice(0, 10)
+        .map((entry) => ({
+          id: entry.id,
+          enqueuedAt: entry.enqueuedAt,
+          attempts: entry.attempts,
+          priority: entry.priority ?? QUEUE_PRIORITY.letter,
+          nextAttemptAt: entry.nextAttemptAt ?? null,
+          lastError: entry.lastError ?? null,
+          ownerFingerprint: entry.ownerFingerprint
+        }))
     };
   }
 
-  async detectChainConflict(remoteBlocks) {
+  async detectChainConflict(remoteBlocks, attestations = null) {
     if (!Array.isArray(remoteBlocks) || remoteBlocks.length === 0) {
       return null;
     }
-    const localBlocks = await this.blockStore.getBlocks();
-    if (!localBlocks.length) {
+    // 裁剪模式下本地只有部分区块正文，分叉点按完整哈希索引计算
+    const localHashes = (await this.blockStore.getManifest()).map((entry) => entry.hash);
+    if (!localHashes.length) {
       return null;
     }
-    const minLength = Math.min(localBlocks.length, remoteBlocks.length);
-    for (let i = 0; i < minLength; i += 1) {
-      if (localBlocks[i].hash !== remoteBlocks[i].hash) {
-        return {
-          divergeAt: i,
-          localBlocks,
-          orphanedBlocks: localBlocks.slice(i),
-          localHeight: localBlocks.length,
-          remoteHeight: remoteBlocks.length,
-          shouldReplace: remoteBlocks.length >= localBlocks.length
-        };
-      }
+    const remoteHashes = remoteBlocks.map((block) => block.hash);
+    const divergeAt = findDivergence(localHashes, remoteHashes);
+    if (divergeAt === -1) {
+      return null;
     }
-    return null;
+    const localBlocks = await this.blockStore.getBlocks();
+    return {
+      divergeAt,
+      localBlocks,
+      // 整链替换后创世哈希可能改变，快照目录按替换前的链确定
+      conflictsDir: await this.getConflictsDir(),
+      orphanedBlocks: localBlocks.filter((block) => block.index >= divergeAt),
+      localHeight: localHashes.length,
+      remoteHeight: remoteBlocks.length,
+      shouldReplace: compareChains(remoteHashes, localHashes, attestations) > 0
+    };
+  }
+
+  async getConflictsDir() {
+    const genesis = (await this.blockStore.getGenesisHash()) || 'unknown';
+    return path.join(this.chainRoot, genesis, 'conflicts');
   }
 
-  async snapshotConflictChain(localBlocks) {
+  // 快照附带分叉信息与重放清单，供运维界面对照当前链
+  async snapshotConflictChain(localBlocks, details = {}, conflictsDir = null) {
     try {
-      const genesis = (await this.blockStore.getGenesisHash()) || 'unknown';
-      const chainDir = path.join(this.chainRoot, genesis);
-      const conflictsDir = path.join(chainDir, 'conflicts');
+      conflictsDir ??= await this.getConflictsDir();
       await fs.ensureDir(conflictsDir);
       const backupPath = path.join(conflictsDir, `blocks-${Date.now()}.json`);
-      await fs.writeJson(backupPath, { blocks: localBlocks }, { spaces: 2 });
+      await fs.writeJson(backupPath, { createdAt: new Date().toISOString(), ...details, blocks: localBlocks }, { spaces: 2 });
       return backupPath;
     } catch (error) {
       logger.error('Failed to snapshot conflict chain', error.message);
@@ -283,35 +833,354 @@ export class RelayState {
     }
   }
 
-  async requeueOrphanedLetters(orphanedBlocks = []) {
+  // incomingBlocks 为即将替换本地链的区块：其中已有的信件以及已在队列中的信件都不再重放
+  async requeueOrphanedLetters(orphanedBlocks = [], incomingBlocks = []) {
+    const seen = new Set(incomingBlocks.flatMap((block) => (block.letters ?? []).map((letter) => recordContentId(letter))));
+    this.pendingQueue.forEach((entry) => seen.add(entryContentId(entry)));
     const entries = [];
+    let skipped = 0;
     orphanedBlocks.forEach((block) => {
-      (block.letters ?? []).forEach((letter) => {
-        entries.push({
-          id: randomUUID(),
-          letterPayload: letter.payload,
-          ownerFingerprint: letter.ownerFingerprint,
-          relayMetrics: block.relayMetrics ?? {},
-          enqueuedAt: new Date().toISOString(),
-          attempts: 0,
-          replayedFromBlock: block.index
-        });
+      (block.letters ?? []).forEach((letter, position) => {
+        const contentId = recordContentId(letter);
+        if (seen.has(contentId)) {
+          skipped += 1;
+          return;
+        }
+        seen.add(contentId);
+        entries.push(orphanQueueEntry(block, letter, position));
       });
     });
-    if (!entries.length) {
-      return 0;
+    if (skipped) {
+      logger.info('Skipped orphaned letters already on the incoming chain or queued', { skipped });
+    }
+    if (entries.length) {
+      this.pendingQueue.push(...entries);
+      await this.persistQueue();
+      this.processQueueSoon();
+    }
+    return entries.map((entry) => ({
+      id: entry.id,
+      blockIndex: entry.replayedFromBlock,
+      position: entry.replayedFromPosition
+    }));
+  }
+
+  async listConflictSnapshots() {
+    const conflictsDir = await this.getConflictsDir();
+    if (!(await fs.pathExists(conflictsDir))) {
+      return [];
+    }
+    const ids = (await fs.readdir(conflictsDir))
+      .map((file) => file.replace(/\.json$/, ''))
+      .filter((id) => CONFLICT_SNAPSHOT_PATTERN.test(id))
+      .sort()
+      .reverse();
+    const currentHashes = new Set((await this.blockStore.getManifest()).map((entry) => entry.hash));
+    const summaries = await Promise.all(ids.map(async (id) => {
+      // 单个快照损坏时跳过，不影响其余快照的列出
+      const snapshot = await this.loadConflictSnapshot(id).catch((error) => {
+        logger.warn('Skipping unreadable conflict snapshot', { id, error: error.message });
+        return null;
+      });
+      if (!snapshot) {
+        return null;
+      }
+      const blocks = snapshot.blocks ?? [];
+      const orphaned = blocks.filter((block) => !currentHashes.has(block.hash));
+      return {
+        id,
+        createdAt: snapshot.createdAt ?? new Date(Number(CONFLICT_SNAPSHOT_PATTERN.exec(id)[1])).toISOString(),
+        reason: snapshot.reason ?? 'fork',
+        divergeAt: snapshot.divergeAt ?? orphaned[0]?.index ?? null,
+        height: blocks.length,
+        orphanedBlocks: orphaned.length,
+        orphanedLetters: orphaned.reduce((sum, block) => sum + (block.letters?.length ?? 0), 0),
+        replayedLetters: snapshot.replayed?.length ?? null
+      };
+    }));
+    return summaries.filter(Boolean);
+  }
+
+  async loadConflictSnapshot(id) {
+    // id 直接拼进路径，只接受快照文件名格式
+    if (!CONFLICT_SNAPSHOT_PATTERN.test(id ?? '')) {
+      const err = new Error('Invalid snapshot id');
+      err.statusCode = 400;
+      throw err;
+    }
+    const snapshotPath = path.join(await this.getConflictsDir(), `${id}.json`);
+    if (!(await fs.pathExists(snapshotPath))) {
+      const err = new Error('Conflict snapshot not found');
+      err.statusCode = 404;
+      throw err;
+    }
+    return fs.readJson(snapshotPath);
+  }
+
+  // 孤块中的每封信此刻的去向：已在当前链 / 仍在队列 / 进入死信 / 丢失
+  async locateRecords() {
+    const onChain = await this.blockStore.getContentIndex();
+    const queued = new Set(this.pendingQueue.map((entry) => entryContentId(entry)));
+    const { letters: deadLetters = [] } = await this.deadLetterStore.get();
+    const dead = new Set(deadLetters.map((entry) => entryContentId(entry)));
+    return (hash) => {
+      if (onChain.has(hash)) return 'on-chain';
+      if (queued.has(hash)) return 'queued';
+      if (dead.has(hash)) return 'dead-letter';
+      return 'missing';
+    };
+  }
+
+  async diffConflictSnapshot(id) {
+    const snapshot = await this.loadConflictSnapshot(id);
+    const blocks = snapshot.blocks ?? [];
+    const manifest = await this.blockStore.getManifest();
+    const currentHashes = new Set(manifest.map((entry) => entry.hash));
+    const locate = await this.locateRecords();
+    const replayed = new Set((snapshot.replayed ?? []).map((entry) => `${entry.blockIndex}:${entry.position}`));
+    const orphanedBlocks = blocks
+      .filter((block) => !currentHashes.has(block.hash))
+      .map((block) => ({
+        index: block.index,
+        hash: block.hash,
+        timestamp: block.timestamp,
+        letters: (block.letters ?? []).map((letter, position) => {
+          const contentId = recordContentId(letter);
+          return {
+            position,
+            kind: letter.tombstone ? 'tombstone' : 'letter',
+            contentId,
+            ownerFingerprint: letter.ownerFingerprint ?? null,
+            replayed: replayed.has(`${block.index}:${position}`),
+            status: locate(contentId)
+          };
+        })
+      }));
+    return {
+      id,
+      createdAt: snapshot.createdAt ?? null,
+      reason: snapshot.reason ?? 'fork',
+      divergeAt: snapshot.divergeAt ?? orphanedBlocks[0]?.index ?? null,
+      snapshotHeight: blocks.length,
+      currentHeight: manifest.length,
+      // 裁剪模式下的快照不含创世块，无法整链恢复
+      restorable: blocks[0]?.index === 0,
+      orphanedBlocks
+    };
+  }
+
+  // letters 为 [{ blockIndex, position }]；为空时重新注入全部下落不明的孤块信件
+  async reinjectConflictLetters(id, letters = []) {
+    const snapshot = await this.loadConflictSnapshot(id);
+    const diff = await this.diffConflictSnapshot(id);
+    const requested = new Set(letters.map((entry) => `${entry.blockIndex}:${entry.position}`));
+    const byIndex = new Map((snapshot.blocks ?? []).map((block) => [block.index, block]));
+    const entries = [];
+    const skipped = [];
+    const revived = new Set();
+    diff.orphanedBlocks.forEach((block) => {
+      block.letters.forEach((letter) => {
+        const key = `${block.index}:${letter.position}`;
+        if (requested.size ? !requested.has(key) : letter.status !== 'missing') return;
+        if (letter.status === 'on-chain' || letter.status === 'queued') {
+          skipped.push({ blockIndex: block.index, position: letter.position, reason: letter.status });
+          return;
+        }
+        if (letter.status === 'dead-letter') {
+          revived.add(letter.contentId);
+        }
+        const source = byIndex.get(block.index);
+        entries.push({ ...orphanQueueEntry(source, source.letters[letter.position], letter.position), reinjectedFrom: id });
+      });
+    });
+    // 重新入队的死信同时移出死信列表，避免之后被再次重试而重复上链
+    if (revived.size) {
+      await this.deadLetterStore.update((data) => ({
+        letters: (data.letters ?? []).filter((entry) => !revived.has(entryContentId(entry)))
+      }));
+    }
+    if (entries.length) {
+      this.pendingQueue.push(...entries);
+      await this.persistQueue();
+      this.processQueueSoon();
+    }
+    return { requeued: entries.length, skipped };
+  }
+
+  // 以快照整链替换当前链：当前链先另存为快照，其孤块信件照常重放
+  async restoreConflictSnapshot(id) {
+    const snapshot = await this.loadConflictSnapshot(id);
+    const blocks = snapshot.blocks ?? [];
+    if (blocks[0]?.index !== 0) {
+      const err = new Error('Snapshot does not contain the full chain and cannot be restored');
+      err.statusCode = 400;
+      throw err;
+    }
+    const validationOptions = await this.getValidationOptions();
+    return this.chainMutex.run(() => this.applySnapshotRestore(id, blocks, validationOptions));
+  }
+
+  async applySnapshotRestore(id, blocks, validationOptions) {
+    const conflict = await this.detectChainConflict(blocks);
+    if (!conflict && blocks.length <= (await this.blockStore.getManifest()).length) {
+      return { restored: false, message: 'Current chain already contains the snapshot' };
     }
-    this.pendingQueue.push(...entries);
+    // 先校验并替换，快照链不合法时本地队列与快照目录保持原样
+    const result = await this.blockStore.syncFromRemote(blocks, { ...validationOptions, force: true });
+    let backupPath = null;
+    let replayed = [];
+    if (conflict) {
+      replayed = await this.requeueOrphanedLetters(conflict.orphanedBlocks, blocks);
+      backupPath = await this.snapshotConflictChain(
+        conflict.localBlocks,
+        { reason: 'restore', restoredFrom: id, divergeAt: conflict.divergeAt, replayed },
+        conflict.conflictsDir
+      );
+    }
+    // 快照中已包含的重放条目不必再次上链
+    const restoredHashes = new Set(blocks.flatMap((block) => (block.letters ?? []).map((letter) => recordContentId(letter))));
+    this.pendingQueue = this.pendingQueue.filter(
+      (entry) => entry.replayedFromBlock === undefined || !restoredHashes.has(entryContentId(entry))
+    );
     await this.persistQueue();
-    this.processQueueSoon();
-    return entries.length;
+    await this.enforceArchivalPolicy();
+    this.lastConflictInfo = {
+      resolvedAt: new Date().toISOString(),
+      restoredFrom: id,
+      divergeAt: conflict?.divergeAt ?? null,
+      localHeight: conflict?.localHeight ?? null,
+      remoteHeight: blocks.length,
+      backupPath,
+      replayedLetters: replayed.length
+    };
+    logger.warn('Chain restored from conflict snapshot', this.lastConflictInfo);
+    return { restored: true, ...result, conflict: this.lastConflictInfo };
+  }
+
+  async getGossipPolicy() {
+    const cfg = await this.config.get();
+    return normalizeGossipPolicy(cfg.gossip);
+  }
+
+  // 目录暂时不可达（返回空列表）时保留上次的对等点，推送不依赖目录在线
+  async refreshGossipPeers(relays = []) {
+    const identity = await this.ensureIdentity();
+    const known = relays
+      .filter((relay) => relay?.fingerprint && relay.publicKey && relay.publicUrl && !relay.quarantine)
+      .filter((relay) => relay.fingerprint !== identity.fingerprint)
+      .map(({ onion, publicUrl, fingerprint, publicKey }) => ({ onion, publicUrl, fingerprint, publicKey }));
+    if (!known.length) {
+      return this.peerStore.get();
+    }
+    const { maxPeers } = await this.getGossipPolicy();
+    return this.peerStore.update(({ peers = [] }) => ({
+      relays: known,
+      peers: selectGossipPeers(known, { maxPeers, keep: peers.map((peer) => peer.fingerprint) }),
+      refreshedAt: new Date().toISOString()
+    }));
+  }
+
+  async getGossipStatus() {
+    const { peers = [], relays = [], refreshedAt = null } = await this.peerStore.get();
+    return {
+      policy: await this.getGossipPolicy(),
+      peers: peers.map(({ onion, publicUrl, fingerprint }) => ({ onion, publicUrl, fingerprint })),
+      knownRelays: relays.length,
+      refreshedAt,
+      lastPush: this.lastGossipInfo,
+      lastPull: this.lastGossipPull
+    };
+  }
+
+  async gossipBlocks(blocks = [], { exclude = null } = {}) {
+    const policy = await this.getGossipPolicy();
+    const { peers = [] } = await this.peerStore.get();
+    const targets = peers.filter((peer) => peer.fingerprint !== exclude);
+    if (!policy.enabled || !blocks.length || !targets.length) {
+      return { peers: 0, delivered: 0 };
+    }
+    const cfg = await this.config.get();
+    const message = buildGossipMessage(await this.ensureIdentity(), { onion: cfg.onion, blocks });
+    const results = await Promise.allSettled(
+      targets.map((peer) => postJson(`${peer.publicUrl.replace(/\/$/, '')}/api/gossip/blocks`, message))
+    );
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        logger.debug(`Gossip to ${targets[index].onion} failed`, result.reason?.message);
+      }
+    });
+    this.lastGossipInfo = {
+      at: new Date().toISOString(),
+      headHash: blocks[blocks.length - 1].hash,
+      peers: targets.length,
+      delivered: results.filter((result) => result.status === 'fulfilled').length
+    };
+    return this.lastGossipInfo;
+  }
+
+  // 只接受目录登记过的中继的签名推送，并且只从其登记的地址拉取，推送方自报的地址不被使用
+  async receiveGossip(message) {
+    const policy = await this.getGossipPolicy();
+    if (!policy.enabled) {
+      const err = new Error('Gossip is disabled on this relay');
+      err.statusCode = 403;
+      throw err;
+    }
+    const { relays = [] } = await this.peerStore.get();
+    const sender = relays.find((relay) => relay.fingerprint === message?.from);
+    if (!sender) {
+      const err = new Error('Gossip from unknown relay');
+      err.statusCode = 403;
+      throw err;
+    }
+    const check = verifyGossipMessage(message, sender.publicKey);
+    if (!check.ok) {
+      const err = new Error(check.reason);
+      err.statusCode = 400;
+      throw err;
+    }
+    const known = new Set((await this.blockStore.getManifest()).map((entry) => entry.hash));
+    if (message.headers.every((header) => known.has(header.hash))) {
+      return { pulled: false, reason: 'Blocks already known' };
+    }
+    return this.pullFromPeer(sender);
+  }
+
+  // 拉取与出块、整链替换共用链锁，多个对等点同时推送同一区块时只有第一次真正追加
+  async pullFromPeer(peer) {
+    const validationOptions = await this.getGossipValidationOptions();
+    const head = await this.blockStore.getLatestBlock();
+    // 只在追加时持有链锁，对等点迟迟不返回区块也不会卡住封块
+    const result = await pullIncrementalBlocks(this.blockStore, peer.publicUrl, validationOptions, { lock: this.chainMutex });
+    this.lastGossipPull = { at: new Date().toISOString(), relay: peer.onion, appended: result.appended ?? 0 };
+    if (!result.appended) {
+      // 无法衔接说明链已分叉或本地已出新块，交给定时的目录同步做分叉选择
+      return { pulled: false, relay: peer.onion, ...result };
+    }
+    this.lastSyncTime = this.lastGossipPull.at;
+    const { blocks } = await this.blockStore.getBlocksSince({ sinceHash: head.hash });
+    await this.enforceArchivalPolicy();
+    this.gossipBlocks(blocks, { exclude: peer.fingerprint }).catch((err) => logger.warn('Block gossip failed', err.message));
+    return { pulled: true, relay: peer.onion, ...result };
+  }
+
+  // 目录离线时改用本地保存的中继公钥校验区块签名
+  async getGossipValidationOptions() {
+    const view = await this.loadNetworkView();
+    if (view.relays.length) {
+      return this.getValidationOptions(view);
+    }
+    const { relays = [] } = await this.peerStore.get();
+    return this.getValidationOptions({ ...view, relayKeys: buildRelayKeyRegistry(relays) });
   }
 
   async getSummary() {
     const summary = await this.blockStore.getChainSummary();
     const config = await this.config.get();
     const queue = await this.getQueueStatus();
-    return { summary, config, queue, lastConflict: this.lastConflictInfo };
+    const letterSize = await this.getLetterSizePolicy();
+    const admission = await this.getAdmissionPolicy();
+    return { summary, config, queue, letterSize, admission, lastConflict: this.lastConflictInfo };
   }
 
   async fetchDirectoryProfile() {
@@ -336,6 +1205,14 @@ export class RelayState {
     return this.blockStore.getBlocks();
   }
 
+  async listBlocksSince(options) {
+    return this.blockStore.getBlocksSince(options);
+  }
+
+  async getLetterProofs(fingerprint) {
+    return this.blockStore.getLetterProofs(fingerprint);
+  }
+
   async updateMetrics(partial) {
     const metrics = buildRelayMetrics(partial);
     const config = await this.config.update({ metrics });
@@ -380,8 +1257,9 @@ export class RelayState {
         this.lastReportInfo = info;
         return info;
       }
+      this.blockStore.setArchivalPolicy(await this.getArchivalPolicy());
       const summary = await this.blockStore.getChainSummary();
-      const fingerprint = await this.ensureFingerprint(cfg.onion);
+      const identity = await this.ensureIdentity();
       const sanitizedPublicAccessUrl = normalizeUrl(cfg.publicAccessUrl);
       const effectivePublicUrl = sanitizedPublicAccessUrl || cfg.publicUrl;
       const payload = {
@@ -389,7 +1267,8 @@ export class RelayState {
         publicUrl: effectivePublicUrl,
         publicAccessUrl: sanitizedPublicAccessUrl,
         nickname: cfg.nickname || cfg.onion?.substring(0, 8) || 'Anonymous',
-        fingerprint,
+        fingerprint: identity.fingerprint,
+        publicKey: identity.publicKey,
         latencyMs: cfg.metrics?.latencyMs,
         reachability: cfg.metrics?.reachability,
         gfwBlocked: cfg.metrics?.gfwBlocked,
@@ -404,7 +1283,7 @@ export class RelayState {
         if (directoryGenesis) {
           const localGenesis = await this.blockStore.getGenesisHash();
           genesisMatch = localGenesis === directoryGenesis;
-          await this.ensureChainForGenesis(directoryGenesis);
+          await this.chainMutex.run(() => this.ensureChainForGenesis(directoryGenesis));
         }
         this.consecutiveReportFailures = 0;
         if (this._reportRetryTimer) {
@@ -458,37 +1337,72 @@ export class RelayState {
   async syncFromDirectory() {
     const cfg = await this.config.get();
     if (!cfg.directoryUrl) return { skipped: true };
-    const relay = await chooseRelay(cfg.directoryUrl);
+    const networkView = await this.loadNetworkView();
+    await this.refreshGossipPeers(networkView.relays);
+    // 整链回退只能依赖完整归档的中继
+    const relay = selectBestRelay(networkView.relays, { preferFull: true });
     if (!relay || relay.onion === cfg.onion) {
       return { skipped: true, reason: 'No alternate relay available' };
     }
     const baseUrl = relay.publicUrl ?? relay.onion;
     if (!baseUrl) return { skipped: true, reason: 'Relay lacks URL' };
+    const validationOptions = await this.getValidationOptions(networkView);
+    try {
+      const incremental = await pullIncrementalBlocks(this.blockStore, baseUrl, validationOptions, { lock: this.chainMutex });
+      if (incremental.linked) {
+        this.lastSyncTime = new Date().toISOString();
+        await this.enforceArchivalPolicy();
+        return { relay: relay.onion, incremental: true, ...incremental };
+      }
+      logger.debug('Incremental sync unavailable, falling back to full fetch', incremental.reason || incremental.message);
+    } catch (error) {
+      logger.warn('Incremental sync rejected remote tail, falling back to full fetch', error.message);
+    }
     const target = `${baseUrl.replace(/\/$/, '')}/api/blocks/full`;
     const data = await safeFetch(target);
     if (!data?.blocks) {
       return { skipped: true, reason: 'Failed to fetch blocks' };
     }
-    const remoteBlocks = data.blocks;
-    const conflict = await this.detectChainConflict(remoteBlocks);
-    let backupPath = null;
-    let replayedLetters = 0;
-    if (conflict?.shouldReplace) {
-      backupPath = await this.snapshotConflictChain(conflict.localBlocks);
-      replayedLetters = await this.requeueOrphanedLetters(conflict.orphanedBlocks);
+    const result = await this.chainMutex.run(() => this.replaceWithRemoteChain(data.blocks, networkView, validationOptions));
+    this.lastSyncTime = new Date().toISOString();
+    if (result.updated) {
+      await this.enforceArchivalPolicy();
+    }
+    return { relay: relay.onion, conflict: this.lastConflictInfo, ...result };
+  }
+
+  async replaceWithRemoteChain(remoteBlocks, networkView, validationOptions) {
+    const conflict = await this.detectChainConflict(remoteBlocks, networkView.attestations);
+    // 远端链通过校验与检查点并完成替换后，才重放孤块信件并记录冲突
+    const result = await this.blockStore.syncFromRemote(remoteBlocks, {
+      ...validationOptions,
+      attestations: networkView.attestations,
+      force: Boolean(conflict?.shouldReplace)
+    });
+    if (conflict?.shouldReplace && result.updated) {
+      const replayed = await this.requeueOrphanedLetters(conflict.orphanedBlocks, remoteBlocks);
+      const backupPath = await this.snapshotConflictChain(
+        conflict.localBlocks,
+        {
+          reason: 'fork',
+          divergeAt: conflict.divergeAt,
+          localHeight: conflict.localHeight,
+          remoteHeight: conflict.remoteHeight,
+          replayed
+        },
+        conflict.conflictsDir
+      );
       this.lastConflictInfo = {
         resolvedAt: new Date().toISOString(),
         divergeAt: conflict.divergeAt,
         localHeight: conflict.localHeight,
         remoteHeight: conflict.remoteHeight,
         backupPath,
-        replayedLetters
+        replayedLetters: replayed.length
       };
       logger.warn('Chain conflict detected, replaced with remote copy', this.lastConflictInfo);
     }
-    const result = await this.blockStore.syncFromRemote(remoteBlocks, { force: Boolean(conflict?.shouldReplace) });
-    this.lastSyncTime = new Date().toISOString();
-    return { relay: relay.onion, conflict: this.lastConflictInfo, ...result };
+    return result;
   }
 
   async ensureFreshChainBeforeWrite() {
@@ -555,6 +1469,14 @@ export class RelayState {
     }
   }
 
+  async createBlockStore(filePath) {
+    return new BlockStore({
+      filePath,
+      signer: await this.ensureIdentity(),
+      archival: await this.getArchivalPolicy()
+    });
+  }
+
   async ensureChainForGenesis(genesisHash, { allowRenameToActual = false } = {}) {
     if (genesisHash && this.currentGenesisHash === genesisHash && this.blockStore) {
       return this.currentGenesisHash;
@@ -564,18 +1486,23 @@ export class RelayState {
     let chainDir = path.join(this.chainRoot, targetGenesis);
     await fs.ensureDir(chainDir);
     const filePath = path.join(chainDir, BLOCKS_FILENAME);
-    this.blockStore = new BlockStore({ filePath });
+    this.blockStore = await this.createBlockStore(filePath);
     await this.blockStore.init();
 
     if (allowRenameToActual || !genesisHash) {
       const actualGenesis = await this.blockStore.getGenesisHash();
       if (actualGenesis && actualGenesis !== targetGenesis) {
         const normalizedDir = path.join(this.chainRoot, actualGenesis);
-        await fs.ensureDir(normalizedDir);
         const normalizedPath = path.join(normalizedDir, BLOCKS_FILENAME);
-        await fs.move(filePath, normalizedPath, { overwrite: true });
+        // 只覆盖区块描述文件与分段目录，conflicts/ 等其余内容合并过去，不覆盖目标链目录已有的文件
+        for (const name of [BLOCKS_FILENAME, path.basename(this.blockStore.log.rootDir)]) {
+          if (await fs.pathExists(path.join(chainDir, name))) {
+            await fs.move(path.join(chainDir, name), path.join(normalizedDir, name), { overwrite: true });
+          }
+        }
+        await fs.copy(chainDir, normalizedDir, { overwrite: false });
         await fs.remove(chainDir);
-        this.blockStore = new BlockStore({ filePath: normalizedPath });
+        this.blockStore = await this.createBlockStore(normalizedPath);
         await this.blockStore.init();
         targetGenesis = actualGenesis;
         chainDir = normalizedDir;
@@ -0,0 +1,129 @@
+import { createHash } from 'node:crypto';
+
+export const MAX_POW_DIFFICULTY = 28;
+// 不按 IP 限流时至少要求的工作量证明难度，约六万多次哈希
+export const MIN_POW_WITHOUT_IP_LIMIT = 16;
+export const IP_SOURCES = ['auto', 'socket', 'off'];
+
+export const DEFAULT_ADMISSION = {
+  maxPayloadBytes: 131072,
+  perIp: { limit: 30, windowMs: 60000 },
+  perFingerprint: { limit: 10, windowMs: 60000 },
+  powDifficulty: 0,
+  ipSource: 'auto'
+};
+
+// 固定窗口计数；limit 为 0 表示不限流
+export class RateLimiter {
+  constructor({ limit = 0, windowMs = 60000 } = {}) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.windows = new Map();
+  }
+
+  configure({ limit = 0, windowMs = 60000 } = {}) {
+    if (limit !== this.limit || windowMs !== this.windowMs) {
+      this.limit = limit;
+      this.windowMs = windowMs;
+      this.windows.clear();
+    }
+  }
+
+  take(key, now = Date.now()) {
+    if (!this.limit || !key) {
+      return { ok: true };
+    }
+    this.prune(now);
+    const window = this.windows.get(key);
+    if (!window || now - window.startedAt >= this.windowMs) {
+      this.windows.set(key, { startedAt: now, count: 1 });
+      return { ok: true };
+    }
+    if (window.count >= this.limit) {
+      return { ok: false, retryAfterMs: window.startedAt + this.windowMs - now };
+    }
+    window.count += 1;
+    return { ok: true };
+  }
+
+  prune(now) {
+    this.windows.forEach((window, key) => {
+      if (now - window.startedAt >= this.windowMs) {
+        this.windows.delete(key);
+      }
+    });
+  }
+}
+
+function leadingZeroBits(digest) {
+  let bits = 0;
+  for (const byte of digest) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+function stampDigest(challenge, nonce) {
+  return createHash('sha256').update(`${challenge}:${nonce}`).digest();
+}
+
+// hashcash 式工作量证明，挑战值取信件 payloadHash，邮戳无法挪给其他信件
+export function computeProofOfWork(challenge, difficulty) {
+  if (!difficulty) return null;
+  if (difficulty > MAX_POW_DIFFICULTY) {
+    throw new Error(`Proof-of-work difficulty ${difficulty} exceeds the supported maximum of ${MAX_POW_DIFFICULTY}`);
+  }
+  for (let nonce = 0; ; nonce += 1) {
+    if (leadingZeroBits(stampDigest(challenge, nonce)) >= difficulty) {
+      return { difficulty, nonce: String(nonce) };
+    }
+  }
+}
+
+// 分批计算并在批次之间让出事件循环，客户端服务器在盖邮戳期间仍能响应其他请求
+export async function computeProofOfWorkAsync(challenge, difficulty, { chunkSize = 4096 } = {}) {
+  if (!difficulty) return null;
+  if (difficulty > MAX_POW_DIFFICULTY) {
+    throw new Error(`Proof-of-work difficulty ${difficulty} exceeds the supported maximum of ${MAX_POW_DIFFICULTY}`);
+  }
+  for (let nonce = 0; ; nonce += 1) {
+    if (leadingZeroBits(stampDigest(challenge, nonce)) >= difficulty) {
+      return { difficulty, nonce: String(nonce) };
+    }
+    if ((nonce + 1) % chunkSize === 0) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+  }
+}
+
+export function verifyProofOfWork(challenge, stamp, difficulty) {
+  if (!difficulty) return true;
+  if (!stamp || typeof stamp.nonce !== 'string') return false;
+  return leadingZeroBits(stampDigest(challenge, stamp.nonce)) >= difficulty;
+}
+
+// 经 Tor 转发的请求来源都是本机回环地址，按 IP 限流会让所有发信人共用一个额度；
+// ipSource 为 auto 时以 .onion 地址提供服务就关闭按 IP 限流，改由工作量证明与收件人指纹限流兜底
+export function normalizeAdmissionPolicy(policy = {}, { onion = false } = {}) {
+  const limitOf = (value, fallback) => ({
+    limit: Number.isInteger(value?.limit) && value.limit >= 0 ? value.limit : fallback.limit,
+    windowMs: Number(value?.windowMs) > 0 ? Number(value.windowMs) : fallback.windowMs
+  });
+  const parsed = Number.parseInt(policy.powDifficulty, 10);
+  const difficulty = Number.isInteger(parsed) ? Math.min(Math.max(parsed, 0), MAX_POW_DIFFICULTY) : 0;
+  const configured = IP_SOURCES.includes(policy.ipSource) ? policy.ipSource : DEFAULT_ADMISSION.ipSource;
+  const ipSource = configured === 'auto' ? (onion ? 'off' : 'socket') : configured;
+  const perIp = limitOf(policy.perIp, DEFAULT_ADMISSION.perIp);
+  return {
+    maxPayloadBytes: Number(policy.maxPayloadBytes) > 0 ? Number(policy.maxPayloadBytes) : DEFAULT_ADMISSION.maxPayloadBytes,
+    ipSource,
+    perIp: ipSource === 'off' ? { ...perIp, limit: 0 } : perIp,
+    perFingerprint: limitOf(policy.perFingerprint, DEFAULT_ADMISSION.perFingerprint),
+    powDifficulty: ipSource === 'off' ? Math.max(difficulty, MIN_POW_WITHOUT_IP_LIMIT) : difficulty
+  };
+}
@@ -0,0 +1,270 @@
+import fs from 'fs-extra';
+import path from 'node:path';
+import { Mutex } from './mutex.js';
+
+const LOG_FORMAT = 'segmented-jsonl';
+const LOG_VERSION = 1;
+const DEFAULT_SEGMENT_SIZE = 500;
+const INDEX_FILENAME = 'index.jsonl';
+
+function segmentFileName(segment) {
+  return `segment-${String(segment).padStart(6, '0')}.jsonl`;
+}
+
+// 返回可用的行以及它们占用的字节数；没有换行结尾或无法解析的行视为写入中断留下的残行
+function parseJsonLines(content) {
+  const rows = [];
+  let start = 0;
+  while (start < content.length) {
+    const end = content.indexOf('\n', start);
+    if (end === -1) break;
+    const line = content.slice(start, end);
+    if (line.trim()) {
+      try {
+        rows.push(JSON.parse(line));
+      } catch (error) {
+        break;
+      }
+    }
+    start = end + 1;
+  }
+  return { rows, validLength: Buffer.byteLength(content.slice(0, start)) };
+}
+
+export class SegmentedBlockLog {
+  constructor(filePath, options = {}) {
+    this.filePath = path.resolve(filePath);
+    this.segmentSize = options.segmentSize ?? DEFAULT_SEGMENT_SIZE;
+    this.segmentDirName = `${path.basename(this.filePath, '.json')}.segments`;
+    this.rootDir = path.join(path.dirname(this.filePath), this.segmentDirName);
+    this.indexPath = path.join(this.rootDir, INDEX_FILENAME);
+    this.entries = null;
+    this.hashToHeight = new Map();
+    this._blocks = null;
+    this.prunedBelow = 0;
+    this.checkpoint = null;
+    this.writeMutex = new Mutex();
+  }
+
+  async load() {
+    if (this.entries) return this;
+    await this.migrateLegacyIfNeeded();
+    await this.recoverAsideDir();
+    await fs.ensureDir(this.rootDir);
+    const content = await fs.readFile(this.indexPath, 'utf8').catch((err) => {
+      if (err.code === 'ENOENT') return '';
+      throw err;
+    });
+    const { rows, validLength } = parseJsonLines(content);
+    // 截掉残行，否则下一次追加会接在半行之后，之后的索引条目全部无法解析
+    if (validLength < Buffer.byteLength(content)) {
+      await fs.truncate(this.indexPath, validLength);
+    }
+    this.entries = rows;
+    this.hashToHeight = new Map(this.entries.map((entry) => [entry.hash, entry.height]));
+    return this;
+  }
+
+  async migrateLegacyIfNeeded() {
+    const exists = await fs.pathExists(this.filePath);
+    if (!exists) {
+      await this.writeDescriptor();
+      return false;
+    }
+    const content = await fs.readJson(this.filePath);
+    if (content?.format === LOG_FORMAT) {
+      this.segmentSize = content.segmentSize ?? this.segmentSize;
+      this.prunedBelow = content.prunedBelow ?? 0;
+      this.checkpoint = content.checkpoint ?? null;
+      return false;
+    }
+    const legacyBlocks = Array.isArray(content?.blocks) ? content.blocks : [];
+    // 先写入分段再覆盖描述文件，中途失败时旧的 blocks.json 仍然完整
+    await this.writeSegments(legacyBlocks);
+    return true;
+  }
+
+  // 换入新分段目录时中途崩溃，旧目录会停留在一旁；找回它，避免空目录被当成空链重新生成创世块
+  async recoverAsideDir() {
+    if (await fs.pathExists(this.rootDir)) return;
+    const prefix = `${this.segmentDirName}.old-`;
+    const aside = (await fs.readdir(path.dirname(this.rootDir))).filter((name) => name.startsWith(prefix)).sort();
+    if (aside.length) {
+      await fs.rename(path.join(path.dirname(this.rootDir), aside[aside.length - 1]), this.rootDir);
+    }
+  }
+
+  // 先写临时文件再改名，描述文件不会只写了一半
+  async writeDescriptor() {
+    await fs.ensureDir(path.dirname(this.filePath));
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeJson(
+      tempPath,
+      {
+        format: LOG_FORMAT,
+        version: LOG_VERSION,
+        segmentSize: this.segmentSize,
+        segmentDir: this.segmentDirName,
+        prunedBelow: this.prunedBelow,
+        checkpoint: this.checkpoint
+      },
+      { spaces: 2 }
+    );
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  // descriptor 为随新分段一同生效的描述字段，例如整链替换时重置 prunedBelow
+  async writeSegments(blocks, descriptor = {}) {
+    const stagingDir = `${this.rootDir}.staging-${Date.now()}`;
+    await fs.ensureDir(stagingDir);
+    const segments = new Map();
+    const indexLines = [];
+    blocks.forEach((block, height) => {
+      const segment = Math.floor(height / this.segmentSize);
+      const line = `${JSON.stringify(block)}\n`;
+      const current = segments.get(segment) ?? { chunks: [], size: 0 };
+      indexLines.push(JSON.stringify({
+        height,
+        index: block.index,
+        hash: block.hash,
+        timestamp: block.timestamp,
+        segment,
+        offset: current.size,
+        length: Buffer.byteLength(line)
+      }));
+      current.chunks.push(line);
+      current.size += Buffer.byteLength(line);
+      segments.set(segment, current);
+    });
+    for (const [segment, { chunks }] of segments) {
+      await fs.writeFile(path.join(stagingDir, segmentFileName(segment)), chunks.join(''), 'utf8');
+    }
+    await fs.writeFile(path.join(stagingDir, INDEX_FILENAME), indexLines.length ? `${indexLines.join('\n')}\n` : '', 'utf8');
+    // 旧目录先改名留在一旁，新目录换入并写好描述文件后才删除，任何时刻磁盘上都有一份完整的分段
+    const asideDir = `${this.rootDir}.old-${Date.now()}`;
+    if (await fs.pathExists(this.rootDir)) {
+      await fs.rename(this.rootDir, asideDir);
+    }
+    await fs.rename(stagingDir, this.rootDir);
+    Object.assign(this, descriptor);
+    await this.writeDescriptor();
+    await fs.remove(asideDir);
+  }
+
+  get height() {
+    return this.entries?.length ?? 0;
+  }
+
+  getEntries() {
+    return this.entries ?? [];
+  }
+
+  getHeightByHash(hash) {
+    return this.hashToHeight.get(hash) ?? -1;
+  }
+
+  async readBlock(height) {
+    await this.load();
+    if (height < this.prunedBelow) return undefined;
+    if (this._blocks) return this._blocks[height - this.prunedBelow];
+    const entry = this.entries[height];
+    if (!entry) return undefined;
+    const handle = await fs.open(path.join(this.rootDir, segmentFileName(entry.segment)), 'r');
+    try {
+      const buffer = Buffer.alloc(entry.length);
+      await fs.read(handle, buffer, 0, entry.length, entry.offset);
+      return JSON.parse(buffer.toString('utf8'));
+    } finally {
+      await fs.close(handle);
+    }
+  }
+
+  async readAll() {
+    await this.load();
+    if (this._blocks) return this._blocks;
+    const segmentContents = new Map();
+    const blocks = [];
+    for (const entry of this.entries.slice(this.prunedBelow)) {
+      if (!segmentContents.has(entry.segment)) {
+        segmentContents.set(entry.segment, await fs.readFile(path.join(this.rootDir, segmentFileName(entry.segment))));
+      }
+      const buffer = segmentContents.get(entry.segment);
+      blocks.push(JSON.parse(buffer.subarray(entry.offset, entry.offset + entry.length).toString('utf8')));
+    }
+    this._blocks = blocks;
+    return blocks;
+  }
+
+  // 追加的高度与偏移取自当前链尾，必须与写分段、写索引一起串行执行
+  append(blocks = []) {
+    return this.writeMutex.run(() => this.appendBlocks(blocks));
+  }
+
+  async appendBlocks(blocks) {
+    await this.load();
+    for (const block of blocks) {
+      const height = this.entries.length;
+      const segment = Math.floor(height / this.segmentSize);
+      const segmentPath = path.join(this.rootDir, segmentFileName(segment));
+      const offset = await fs.stat(segmentPath).then((stats) => stats.size).catch(() => 0);
+      const line = `${JSON.stringify(block)}\n`;
+      const entry = {
+        height,
+        index: block.index,
+        hash: block.hash,
+        timestamp: block.timestamp,
+        segment,
+        offset,
+        length: Buffer.byteLength(line)
+      };
+      // 先写区块再写索引：索引中出现的条目一定能在分段中读到
+      await fs.appendFile(segmentPath, line, 'utf8');
+      await fs.appendFile(this.indexPath, `${JSON.stringify(entry)}\n`, 'utf8');
+      this.entries.push(entry);
+      this.hashToHeight.set(block.hash, height);
+      if (this._blocks) this._blocks.push(block);
+    }
+    return this.entries.length;
+  }
+
+  replace(blocks = []) {
+    return this.writeMutex.run(() => this.replaceBlocks(blocks));
+  }
+
+  async replaceBlocks(blocks) {
+    await this.load();
+    await this.writeSegments(blocks, { prunedBelow: 0, checkpoint: null });
+    this.entries = null;
+    this._blocks = null;
+    return this.load();
+  }
+
+  // 按整段裁剪：索引保留全部哈希，只删除 cutoffHeight 所在段之前的区块正文
+  pruneBoundary(cutoffHeight) {
+    const boundary = Math.floor(Math.min(cutoffHeight, this.height) / this.segmentSize) * this.segmentSize;
+    return Math.max(boundary, this.prunedBelow);
+  }
+
+  prune(cutoffHeight, checkpoint = null) {
+    return this.writeMutex.run(() => this.pruneBlocks(cutoffHeight, checkpoint));
+  }
+
+  async pruneBlocks(cutoffHeight, checkpoint) {
+    await this.load();
+    const prunedBelow = this.pruneBoundary(cutoffHeight);
+    if (prunedBelow <= this.prunedBelow) {
+      return false;
+    }
+    const previousSegment = Math.floor(this.prunedBelow / this.segmentSize);
+    const keepFromSegment = prunedBelow / this.segmentSize;
+    this.prunedBelow = prunedBelow;
+    this.checkpoint = checkpoint;
+    // 先更新描述文件再删段文件，读者不会访问到已删除的段
+    await this.writeDescriptor();
+    for (let segment = previousSegment; segment < keepFromSegment; segment += 1) {
+      await fs.remove(path.join(this.rootDir, segmentFileName(segment)));
+    }
+    this._blocks = null;
+    return true;
+  }
+}
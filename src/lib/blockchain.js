@@ -1,6 +1,10 @@
 import path from 'node:path';
-import { JsonStore } from './jsonStore.js';
-import { buildBlockHash, hashPayload } from './crypto.js';
+import { SegmentedBlockLog } from './blockLog.js';
+import { Mutex } from './mutex.js';
+import { compareChains } from './forkChoice.js';
+import { findCheckpointConflict } from './checkpoints.js';
+import { buildBlockHash, buildBlockHeader, hashPayload, signMessage, verifyMessageSignature } from './crypto.js';
+import { buildMerkleProof, computeMerkleRoot, hashMerkleLeaf, verifyMerkleProof } from './merkle.js';
 
 function createGenesisBlock() {
   const block = {
@@ -16,64 +20,310 @@ function createGenesisBlock() {
   return block;
 }
 
+function lookupRelayKey(relayKeys, fingerprint) {
+  if (!relayKeys || !fingerprint) return null;
+  if (relayKeys instanceof Map) return relayKeys.get(fingerprint) ?? null;
+  return relayKeys[fingerprint] ?? null;
+}
+
+function checkBlockIntegrity(block, options = {}) {
+  const { relayKeys = null, requireSignatures = false } = options;
+  const { hash, ...rest } = block;
+  if (buildBlockHash({ ...rest }) !== hash) {
+    return { ok: false, reason: `Hash mismatch at index ${block.index}` };
+  }
+  if (block.merkleRoot !== undefined && block.merkleRoot !== computeMerkleRoot(block.letters)) {
+    return { ok: false, reason: `Merkle root mismatch at index ${block.index}` };
+  }
+  if (block.index === 0) {
+    return { ok: true };
+  }
+  if (!block.signature) {
+    return requireSignatures ? { ok: false, reason: `Missing signature at index ${block.index}` } : { ok: true };
+  }
+  const publicKey = lookupRelayKey(relayKeys, block.sealedBy);
+  if (!publicKey) {
+    return requireSignatures
+      ? { ok: false, reason: `Unknown sealer ${block.sealedBy || 'N/A'} at index ${block.index}` }
+      : { ok: true };
+  }
+  if (!verifyMessageSignature(publicKey, block.hash, block.signature)) {
+    return { ok: false, reason: `Bad signature at index ${block.index}` };
+  }
+  return { ok: true };
+}
+
+function checkpointBody(checkpoint) {
+  const { height, index, hash, previousHash, timestamp } = checkpoint;
+  return JSON.stringify({ height, index, hash, previousHash, timestamp });
+}
+
+function buildCheckpointHeader(signer, block, height) {
+  const checkpoint = {
+    height,
+    index: block.index,
+    hash: block.hash,
+    previousHash: block.previousHash,
+    timestamp: block.timestamp
+  };
+  if (signer) {
+    checkpoint.sealedBy = signer.fingerprint;
+    checkpoint.signature = signMessage(signer.privateKey, checkpointBody(checkpoint));
+  }
+  return checkpoint;
+}
+
+export const ARCHIVAL_MODES = ['full', 'pruned'];
+
+// 隐匿寻址的信件不带任何指纹，统一挂在这个键下供收件人本地扫描
+const UNADDRESSED = Symbol('unaddressed');
+// 撤回墓碑与信件同列存放在区块中，单独索引
+const TOMBSTONES = Symbol('tombstones');
+
+function describeRecord(record) {
+  if (record.tombstone) return `Tombstone for ${record.tombstone.payloadHash.slice(0, 8)}`;
+  if (record.ownerFingerprint) return `Love letter for ${record.ownerFingerprint.slice(0, 8)}`;
+  return 'Sealed love letter';
+}
+
+// 稳定的内容标识：信件取信封哈希（与回执中的 payloadHash 一致），墓碑取墓碑本身的哈希
+export function recordContentId(record) {
+  return hashPayload(record.tombstone ?? record.payload ?? null);
+}
+
+export function letterRecipients(letter) {
+  const recipients = Array.isArray(letter?.recipientFingerprints) ? letter.recipientFingerprints : [];
+  return [...new Set([letter?.ownerFingerprint, ...recipients].filter(Boolean))];
+}
+
 export class BlockStore {
   constructor(options) {
-    const { filePath } = options;
+    const { filePath, segmentSize, signer = null, archival = null } = options;
     if (!filePath) throw new Error('filePath is required for BlockStore');
     this.filePath = path.resolve(filePath);
-    this.store = new JsonStore(this.filePath, { blocks: [] });
+    this.log = new SegmentedBlockLog(this.filePath, { segmentSize });
+    this.signer = signer;
+    this.recipientIndex = null;
+    this.contentIndex = null;
+    // 读链尾、出块、追加远端区块、整链替换与裁剪共用一把锁，避免两次写入基于同一个链尾
+    this.writeMutex = new Mutex();
+    this.setArchivalPolicy(archival);
   }
 
-  async init() {
-    const data = await this.store.get();
-    if (!data.blocks || data.blocks.length === 0) {
-      await this.store.update(() => ({ blocks: [createGenesisBlock()] }));
+  // 每位收件人指纹 -> 信件所在区块与位置；首次查询时构建，追加区块时增量更新
+  async getRecipientIndex() {
+    if (!this.recipientIndex) {
+      this.recipientIndex = new Map();
+      this.indexLetters(await this.getBlocks());
+    }
+    return this.recipientIndex;
+  }
+
+  // 内容标识 -> 首次出现的区块与位置，用于跳过已上链的重复信件
+  async getContentIndex() {
+    if (!this.contentIndex) {
+      this.contentIndex = new Map();
+      this.indexContent(await this.getBlocks());
+    }
+    return this.contentIndex;
+  }
+
+  indexContent(blocks) {
+    if (!this.contentIndex) return;
+    blocks.forEach((block) => {
+      (block.letters ?? []).forEach((letter, position) => {
+        const contentId = recordContentId(letter);
+        if (!this.contentIndex.has(contentId)) {
+          this.contentIndex.set(contentId, { block, position });
+        }
+      });
+    });
+  }
+
+  async findContent(contentId) {
+    return (await this.getContentIndex()).get(contentId) ?? null;
+  }
+
+  indexLetters(blocks) {
+    this.indexContent(blocks);
+    if (!this.recipientIndex) return;
+    blocks.forEach((block) => {
+      (block.letters ?? []).forEach((letter, position) => {
+        const recipients = letterRecipients(letter);
+        let keys = recipients.length ? recipients : [UNADDRESSED];
+        if (letter.tombstone) keys = [TOMBSTONES];
+        keys.forEach((fingerprint) => {
+          if (!this.recipientIndex.has(fingerprint)) {
+            this.recipientIndex.set(fingerprint, []);
+          }
+          this.recipientIndex.get(fingerprint).push({ block, position });
+        });
+      });
+    });
+  }
+
+  setArchivalPolicy(policy) {
+    const mode = ARCHIVAL_MODES.includes(policy?.mode) ? policy.mode : 'full';
+    const keepBlocks = Number.parseInt(policy?.keepBlocks, 10);
+    this.archival = {
+      mode,
+      keepBlocks: mode === 'pruned' && keepBlocks > 0 ? keepBlocks : null
+    };
+    return this.archival;
+  }
+
+  // 裁剪模式下只保留最近 keepBlocks 个区块正文，并用签名的检查点头记录最后一个被裁掉的区块
+  async applyArchivalPolicy() {
+    if (this.archival.mode !== 'pruned' || !this.archival.keepBlocks) {
+      return { pruned: false };
+    }
+    return this.writeMutex.run(() => this.pruneToPolicy());
+  }
+
+  async pruneToPolicy() {
+    await this.log.load();
+    const cutoff = this.log.height - this.archival.keepBlocks;
+    const boundary = this.log.pruneBoundary(cutoff);
+    if (boundary <= this.log.prunedBelow) {
+      return { pruned: false };
     }
+    const anchor = await this.log.readBlock(boundary - 1);
+    const checkpoint = buildCheckpointHeader(this.signer, anchor, boundary - 1);
+    await this.log.prune(cutoff, checkpoint);
+    this.recipientIndex = null;
+    this.contentIndex = null;
+    return { pruned: true, prunedBelow: this.log.prunedBelow, checkpoint };
+  }
+
+  static verifyCheckpointHeader(checkpoint, { relayKeys = null } = {}) {
+    if (!checkpoint?.hash || !Number.isInteger(checkpoint.height)) {
+      return { ok: false, reason: 'Incomplete checkpoint header' };
+    }
+    if (!checkpoint.signature) {
+      return { ok: false, reason: 'Checkpoint header is not signed' };
+    }
+    const publicKey = lookupRelayKey(relayKeys, checkpoint.sealedBy);
+    if (!publicKey) {
+      return { ok: false, reason: `Unknown checkpoint signer ${checkpoint.sealedBy || 'N/A'}` };
+    }
+    if (!verifyMessageSignature(publicKey, checkpointBody(checkpoint), checkpoint.signature)) {
+      return { ok: false, reason: 'Bad checkpoint signature' };
+    }
+    return { ok: true };
+  }
+
+  async init() {
+    await this.writeMutex.run(async () => {
+      await this.log.load();
+      if (this.log.height === 0) {
+        await this.log.append([createGenesisBlock()]);
+      }
+    });
     return this;
   }
 
   async getBlocks() {
-    const data = await this.store.get();
-    return data.blocks;
+    return this.log.readAll();
   }
 
   async getLatestBlock() {
-    const blocks = await this.getBlocks();
-    return blocks[blocks.length - 1];
+    await this.log.load();
+    return this.log.readBlock(this.log.height - 1);
   }
 
   async appendLetterBlock(letterPayload, ownerFingerprint, relayMetrics = {}) {
-    const blocks = await this.getBlocks();
-    const previousBlock = blocks[blocks.length - 1];
+    return this.appendLettersBlock([{ ownerFingerprint, payload: letterPayload }], relayMetrics);
+  }
+
+  // 已在链上或本批内重复的信件会被跳过；全部重复时不出块，返回 null
+  async appendLettersBlock(letters, relayMetrics = {}) {
+    if (!Array.isArray(letters) || letters.length === 0) {
+      throw new Error('At least one letter is required to seal a block');
+    }
+    return this.writeMutex.run(() => this.sealLettersBlock(letters, relayMetrics));
+  }
+
+  async sealLettersBlock(letters, relayMetrics) {
+    const contentIndex = await this.getContentIndex();
+    const batchIds = new Set();
+    const freshLetters = letters.filter((letter) => {
+      const contentId = recordContentId(letter);
+      if (contentIndex.has(contentId) || batchIds.has(contentId)) return false;
+      batchIds.add(contentId);
+      return true;
+    });
+    if (!freshLetters.length) {
+      return null;
+    }
+    const previousBlock = await this.getLatestBlock();
+    const sealedLetters = freshLetters.map(({ ownerFingerprint, recipientFingerprints, payload, tombstone }) => {
+      if (tombstone) return { tombstone };
+      if (!ownerFingerprint) return { payload };
+      return recipientFingerprints?.length > 1
+        ? { ownerFingerprint, recipientFingerprints, payload }
+        : { ownerFingerprint, payload };
+    });
     const block = {
+      version: 2,
       index: previousBlock.index + 1,
       timestamp: new Date().toISOString(),
       previousHash: previousBlock.hash,
-      letters: [
-        {
-          ownerFingerprint,
-          payload: letterPayload
-        }
-      ],
+      letters: sealedLetters,
+      merkleRoot: computeMerkleRoot(sealedLetters),
       relayMetrics,
-      summary: `Love letter for ${ownerFingerprint.slice(0, 8)}`,
+      summary: sealedLetters.length === 1
+        ? describeRecord(sealedLetters[0])
+        : `${sealedLetters.length} love letters`,
       hash: ''
     };
+    if (this.signer) {
+      block.sealedBy = this.signer.fingerprint;
+    }
     block.hash = buildBlockHash(block);
-    await this.store.update(() => ({ blocks: [...blocks, block] }));
+    if (this.signer) {
+      block.signature = signMessage(this.signer.privateKey, block.hash);
+    }
+    await this.log.append([block]);
+    this.indexLetters([block]);
     return block;
   }
 
-  static validateChain(blocks) {
+  static validateExtension(anchorBlock, tailBlocks, options = {}) {
+    if (!anchorBlock) {
+      return { ok: false, reason: 'Missing anchor block' };
+    }
+    if (!Array.isArray(tailBlocks)) {
+      return { ok: false, reason: 'Tail is not an array' };
+    }
+    let previous = anchorBlock;
+    for (const block of tailBlocks) {
+      const integrity = checkBlockIntegrity(block, options);
+      if (!integrity.ok) {
+        return integrity;
+      }
+      if (block.previousHash !== previous.hash) {
+        return { ok: false, reason: `Broken link at index ${block.index}` };
+      }
+      if (block.index !== previous.index + 1) {
+        return { ok: false, reason: `Unexpected index ${block.index} after ${previous.index}` };
+      }
+      previous = block;
+    }
+    return { ok: true };
+  }
+
+  static validateChain(blocks, options = {}) {
     if (!Array.isArray(blocks) || blocks.length === 0) {
       return { ok: false, reason: 'Empty chain' };
     }
+    if (blocks[0].index !== 0) {
+      return { ok: false, reason: `Chain starts at index ${blocks[0].index} instead of genesis` };
+    }
     for (let i = 0; i < blocks.length; i += 1) {
       const block = blocks[i];
-      const { hash, ...rest } = block;
-      const computedHash = buildBlockHash({ ...rest });
-      if (computedHash !== hash) {
-        return { ok: false, reason: `Hash mismatch at index ${block.index}` };
+      const integrity = checkBlockIntegrity(block, options);
+      if (!integrity.ok) {
+        return integrity;
       }
       if (i > 0 && block.previousHash !== blocks[i - 1].hash) {
         return { ok: false, reason: `Broken link at index ${block.index}` };
@@ -83,13 +333,13 @@ export class BlockStore {
   }
 
   async getManifest() {
-    const blocks = await this.getBlocks();
-    return blocks.map((block) => ({ index: block.index, hash: block.hash, timestamp: block.timestamp }));
+    await this.log.load();
+    return this.log.getEntries().map((entry) => ({ index: entry.index, hash: entry.hash, timestamp: entry.timestamp }));
   }
 
   async getGenesisHash() {
-    const blocks = await this.getBlocks();
-    return blocks?.[0]?.hash ?? null;
+    await this.log.load();
+    return this.log.getEntries()[0]?.hash ?? null;
   }
 
   async computeChecksum() {
@@ -98,37 +348,175 @@ export class BlockStore {
   }
 
   async getChainSummary() {
-    const blocks = await this.getBlocks();
-    const hashes = blocks.map((block) => block.hash);
+    const manifest = await this.getManifest();
+    const hashes = manifest.map((entry) => entry.hash);
     return {
-      length: blocks.length,
+      length: manifest.length,
       hashes,
       latestHash: hashes[hashes.length - 1] ?? null,
-      checksum: await this.computeChecksum()
+      checksum: await this.computeChecksum(),
+      archival: {
+        ...this.archival,
+        prunedBelow: this.log.prunedBelow,
+        checkpoint: this.log.checkpoint
+      }
+    };
+  }
+
+  async getBlocksSince({ sinceHash = null, sinceHeight = null } = {}) {
+    await this.log.load();
+    const length = this.log.height;
+    const latestHash = this.log.getEntries()[length - 1]?.hash ?? null;
+    let start = 0;
+    if (sinceHash) {
+      const position = this.log.getHeightByHash(sinceHash);
+      if (position === -1) {
+        return { found: false, blocks: [], length, latestHash };
+      }
+      start = position + 1;
+    } else if (Number.isInteger(sinceHeight) && sinceHeight >= 0) {
+      start = sinceHeight + 1;
+    }
+    if (start < this.log.prunedBelow) {
+      return { found: false, pruned: true, prunedBelow: this.log.prunedBelow, blocks: [], length, latestHash };
+    }
+    const blocks = await this.getBlocks();
+    return {
+      found: true,
+      blocks: blocks.slice(start - this.log.prunedBelow),
+      length,
+      latestHash
+    };
+  }
+
+  async appendRemoteBlocks(tailBlocks = [], options = {}) {
+    if (!tailBlocks.length) {
+      return { updated: false, linked: true, appended: 0, message: 'No new blocks' };
+    }
+    return this.writeMutex.run(() => this.appendRemoteTail(tailBlocks, options));
+  }
+
+  async appendRemoteTail(tailBlocks, options) {
+    const head = await this.getLatestBlock();
+    if (tailBlocks[0].previousHash !== head.hash) {
+      return { updated: false, linked: false, appended: 0, message: 'Remote tail does not link to local head' };
+    }
+    const validation = BlockStore.validateExtension(head, tailBlocks, options);
+    if (!validation.ok) {
+      throw new Error(`Remote tail invalid: ${validation.reason}`);
+    }
+    const checkpointConflict = findCheckpointConflict(tailBlocks, options.checkpoints);
+    if (checkpointConflict) {
+      throw new Error(`Remote tail rejected: ${checkpointConflict.reason}`);
+    }
+    await this.log.append(tailBlocks);
+    this.indexLetters(tailBlocks);
+    return {
+      updated: true,
+      linked: true,
+      appended: tailBlocks.length,
+      message: `Appended ${tailBlocks.length} block(s) from remote`
     };
   }
 
   async syncFromRemote(remoteBlocks, options = {}) {
-    const { force = false } = options;
-    const validation = BlockStore.validateChain(remoteBlocks);
+    const { force = false, relayKeys = null, requireSignatures = false, attestations = null, checkpoints = [] } = options;
+    const validation = BlockStore.validateChain(remoteBlocks, { relayKeys, requireSignatures });
     if (!validation.ok) {
       throw new Error(`Remote chain invalid: ${validation.reason}`);
     }
-    const localBlocks = await this.getBlocks();
-    if (!force && remoteBlocks.length <= localBlocks.length) {
+    // 目录检查点优先于链长与背书，即使强制替换也不能越过
+    const checkpointConflict = findCheckpointConflict(remoteBlocks, checkpoints);
+    if (checkpointConflict) {
+      throw new Error(`Remote chain rejected: ${checkpointConflict.reason}`);
+    }
+    return this.writeMutex.run(() => this.replaceWithRemote(remoteBlocks, { force, attestations }));
+  }
+
+  async replaceWithRemote(remoteBlocks, { force, attestations }) {
+    await this.log.load();
+    if (!force && attestations) {
+      const localHashes = this.log.getEntries().map((entry) => entry.hash);
+      const remoteHashes = remoteBlocks.map((block) => block.hash);
+      if (compareChains(remoteHashes, localHashes, attestations) <= 0) {
+        return { updated: false, message: 'Fork choice prefers local chain' };
+      }
+    } else if (!force && remoteBlocks.length <= this.log.height) {
       return { updated: false, message: 'Remote chain not longer than local' };
     }
-    await this.store.update(() => ({ blocks: remoteBlocks }));
+    await this.log.replace(remoteBlocks);
+    this.recipientIndex = null;
+    this.contentIndex = null;
     return {
       updated: true,
       message: force ? 'Chain replaced with remote copy (forced)' : 'Chain replaced with remote copy'
     };
   }
 
+  async getLetterProofs(fingerprint) {
+    const entries = (await this.getRecipientIndex()).get(fingerprint) ?? [];
+    const proofs = [];
+    let unprovable = 0;
+    entries.forEach(({ block, position }) => {
+      const letter = block.letters[position];
+      if (Number(block.version) < 2 || !block.merkleRoot) {
+        unprovable += 1;
+        return;
+      }
+      proofs.push({
+        header: buildBlockHeader(block),
+        position,
+        letter,
+        path: buildMerkleProof(block.letters, position)
+      });
+    });
+    return { fingerprint, proofs, unprovable };
+  }
+
+  static verifyLetterProof(proof, expectedFingerprint) {
+    if (!proof?.header || !proof.letter) {
+      return { ok: false, reason: 'Incomplete proof' };
+    }
+    const { header, letter, path: merklePath } = proof;
+    if (expectedFingerprint && !letterRecipients(letter).includes(expectedFingerprint)) {
+      return { ok: false, reason: 'Letter belongs to another fingerprint' };
+    }
+    if (buildBlockHash(header) !== header.hash) {
+      return { ok: false, reason: `Header hash mismatch at index ${header.index}` };
+    }
+    if (!verifyMerkleProof(hashMerkleLeaf(letter), merklePath, header.merkleRoot)) {
+      return { ok: false, reason: `Merkle path does not reach root at index ${header.index}` };
+    }
+    return { ok: true };
+  }
+
   async findLettersByFingerprint(fingerprint) {
-    const blocks = await this.getBlocks();
-    return blocks
-      .flatMap((block) => block.letters.map((letter) => ({ block, letter })))
-      .filter((entry) => entry.letter.ownerFingerprint === fingerprint);
+    const entries = (await this.getRecipientIndex()).get(fingerprint) ?? [];
+    return entries.map(({ block, position }) => ({ block, letter: block.letters[position], position }));
+  }
+
+  // payloadHash -> 引用该信件的墓碑列表；签名由调用方对照原信校验
+  async getTombstones() {
+    const entries = (await this.getRecipientIndex()).get(TOMBSTONES) ?? [];
+    const tombstones = new Map();
+    entries.forEach(({ block, position }) => {
+      const { tombstone } = block.letters[position];
+      tombstones.set(tombstone.payloadHash, [...(tombstones.get(tombstone.payloadHash) ?? []), tombstone]);
+    });
+    return tombstones;
+  }
+
+  async findLetterByPayloadHash(payloadHash) {
+    const location = await this.findContent(payloadHash);
+    const letter = location?.block.letters[location.position];
+    return letter?.payload ? { ...location, letter } : null;
+  }
+
+  // 隐匿信件无法按指纹查找，由调用方提供匹配函数（标签扫描或试解密）
+  async findStealthLetters(matches) {
+    const entries = (await this.getRecipientIndex()).get(UNADDRESSED) ?? [];
+    return entries
+      .map(({ block, position }) => ({ block, letter: block.letters[position], position }))
+      .filter(({ letter }) => matches(letter));
   }
 }
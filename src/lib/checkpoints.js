@@ -0,0 +1,38 @@
+import { fingerprintRelayKey, signMessage, verifyMessageSignature } from './crypto.js';
+
+// 早期检查点带有中继上报的 checksum，签名正文仍包含该字段以便旧检查点能通过验签
+function checkpointBody(checkpoint) {
+  const { height, hash, checksum, publishedAt } = checkpoint;
+  return JSON.stringify({ height, hash, checksum, publishedAt });
+}
+
+// 不签 checksum：它由中继自行上报，目录抽查时只核对了区块哈希；链头哈希经 previousHash 已锁定整段历史
+export function buildChainCheckpoint(signer, manifest) {
+  const checkpoint = {
+    height: manifest.length - 1,
+    hash: manifest.latestHash,
+    publishedAt: new Date().toISOString(),
+    signedBy: fingerprintRelayKey(signer.publicKey)
+  };
+  checkpoint.signature = signMessage(signer.privateKey, checkpointBody(checkpoint));
+  return checkpoint;
+}
+
+export function verifyChainCheckpoint(checkpoint, publicKey) {
+  if (!checkpoint?.signature || !publicKey || !Number.isInteger(checkpoint.height)) return false;
+  return verifyMessageSignature(publicKey, checkpointBody(checkpoint), checkpoint.signature);
+}
+
+// blocks 可以是完整区块，也可以是 { index, hash } 形式的清单条目
+export function findCheckpointConflict(blocks = [], checkpoints = []) {
+  if (!blocks.length || !checkpoints?.length) return null;
+  const byIndex = new Map(blocks.map((block) => [block.index, block]));
+  // 旧检查点里的 checksum 未经目录核实，不作为拒绝依据
+  for (const checkpoint of checkpoints) {
+    const block = byIndex.get(checkpoint.height);
+    if (block && block.hash !== checkpoint.hash) {
+      return { checkpoint, reason: `Block ${checkpoint.height} differs from directory checkpoint` };
+    }
+  }
+  return null;
+}
@@ -1,15 +1,35 @@
 import {
+  constants,
   createCipheriv,
   createDecipheriv,
   createHash,
+  createPrivateKey,
+  createPublicKey,
+  diffieHellman,
   generateKeyPairSync,
+  hkdfSync,
   privateDecrypt,
   publicEncrypt,
-  randomBytes
+  randomBytes,
+  sign,
+  verify
 } from 'node:crypto';
+import { computeMerkleRoot } from './merkle.js';
 
 const SYM_ALGO = 'aes-256-gcm';
 const IV_LENGTH = 12;
+export const LETTER_VERSION = 2;
+export const CONTENT_ENC = 'A256GCM';
+export const MAX_PUBLIC_METADATA_BYTES = 256;
+// 正文与加密元数据按档位补齐，密文长度只暴露所在档位而不是原文长度
+export const LETTER_SIZE_BUCKETS = [1024, 4096, 16384, 65536, 262144];
+const METADATA_SIZE_BUCKETS = [256, 1024, 4096];
+export const PADDING_SCHEME = 'bucket-v1';
+const PADDING_HEADER_BYTES = 4;
+export const X25519_ALG = 'X25519-HKDF-SHA256';
+export const RSA_OAEP_ALG = 'RSA-OAEP-256';
+const HKDF_INFO = 'loving-speech/letter-key/v2';
+const STEALTH_TAG_INFO = 'loving-speech/stealth-tag/v1';
 
 export function generateRsaKeyPair() {
   const { publicKey, privateKey } = generateKeyPairSync('rsa', {
@@ -20,29 +40,289 @@ export function generateRsaKeyPair() {
   return { publicKey, privateKey };
 }
 
+export function generateLetterKeyPair() {
+  const { publicKey, privateKey } = generateKeyPairSync('x25519', {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+  return { publicKey, privateKey };
+}
+
+export function generateSigningKeyPair() {
+  const { publicKey, privateKey } = generateKeyPairSync('ed25519', {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+  return { publicKey, privateKey };
+}
+
+function digestAlgorithmFor(keyObject) {
+  // Ed25519 自带摘要，RSA 等密钥使用 SHA-256
+  return keyObject.asymmetricKeyType === 'ed25519' ? null : 'sha256';
+}
+
+export function signMessage(privateKey, message) {
+  const keyObject = createPrivateKey(privateKey);
+  return sign(digestAlgorithmFor(keyObject), Buffer.from(message, 'utf8'), keyObject).toString('base64');
+}
+
+export function verifyMessageSignature(publicKey, message, signature) {
+  if (!publicKey || !signature) return false;
+  try {
+    const keyObject = createPublicKey(publicKey);
+    return verify(digestAlgorithmFor(keyObject), Buffer.from(message, 'utf8'), keyObject, Buffer.from(signature, 'base64'));
+  } catch (error) {
+    return false;
+  }
+}
+
 export function fingerprintPublicKey(publicKey) {
   return createHash('sha256').update(publicKey).digest('hex');
 }
 
-export function encryptLetter(publicKey, plaintext, metadata = {}) {
-  const symmetricKey = randomBytes(32);
-  const iv = randomBytes(IV_LENGTH);
-  const cipher = createCipheriv(SYM_ALGO, symmetricKey, iv);
-  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
-  const authTag = cipher.getAuthTag();
-  const encryptedKey = publicEncrypt(publicKey, symmetricKey);
+export function fingerprintRelayKey(publicKey) {
+  return fingerprintPublicKey(publicKey).slice(0, 48).toUpperCase();
+}
 
+function sealWithKey(key, plaintext, aad = null) {
+  const iv = randomBytes(IV_LENGTH);
+  const cipher = createCipheriv(SYM_ALGO, key, iv);
+  if (aad) cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
   return {
-    encryptedKey: encryptedKey.toString('base64'),
     iv: iv.toString('base64'),
-    authTag: authTag.toString('base64'),
-    ciphertext: ciphertext.toString('base64'),
-    metadata,
-    createdAt: new Date().toISOString()
+    authTag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
   };
 }
 
-export function decryptLetter(privateKey, payload) {
+function openWithKey(key, sealed, aad = null) {
+  const decipher = createDecipheriv(SYM_ALGO, key, Buffer.from(sealed.iv, 'base64'));
+  if (aad) decipher.setAAD(aad);
+  decipher.setAuthTag(Buffer.from(sealed.authTag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(sealed.ciphertext, 'base64')), decipher.final()]);
+}
+
+function padToBucket(data, buckets) {
+  const size = buckets.find((bucket) => bucket >= data.length + PADDING_HEADER_BYTES);
+  if (!size) {
+    throw new Error(`Letter exceeds the largest size bucket (${buckets[buckets.length - 1]} bytes)`);
+  }
+  const padded = Buffer.alloc(size);
+  padded.writeUInt32BE(data.length, 0);
+  data.copy(padded, PADDING_HEADER_BYTES);
+  return padded;
+}
+
+function stripPadding(padded) {
+  const length = padded.readUInt32BE(0);
+  if (length > padded.length - PADDING_HEADER_BYTES) {
+    throw new Error('Invalid letter padding');
+  }
+  return padded.subarray(PADDING_HEADER_BYTES, PADDING_HEADER_BYTES + length);
+}
+
+export function letterCiphertextSize(payload) {
+  return Buffer.from(payload?.ciphertext ?? '', 'base64').length;
+}
+
+function deriveX25519Secrets(privateKey, publicKey, ephemeralDer, recipientDer) {
+  const shared = diffieHellman({ privateKey, publicKey });
+  // 盐绑定临时公钥与收件人公钥，防止把封装密钥挪给其他收件人
+  const salt = Buffer.concat([ephemeralDer, recipientDer]);
+  return {
+    kek: Buffer.from(hkdfSync('sha256', shared, salt, HKDF_INFO, 32)),
+    // 隐匿标签只有收件人能重新算出，旁观者无法把两封信关联到同一把公钥
+    tag: Buffer.from(hkdfSync('sha256', shared, salt, STEALTH_TAG_INFO, 16)).toString('base64')
+  };
+}
+
+function wrapContentKey(recipientPublicKey, contentKey, { stealth = false } = {}) {
+  const recipientKey = createPublicKey(recipientPublicKey);
+  const address = stealth ? {} : { kid: fingerprintPublicKey(recipientPublicKey) };
+  if (recipientKey.asymmetricKeyType === 'x25519') {
+    const ephemeral = generateKeyPairSync('x25519');
+    const ephemeralDer = ephemeral.publicKey.export({ type: 'spki', format: 'der' });
+    const recipientDer = recipientKey.export({ type: 'spki', format: 'der' });
+    const { kek, tag } = deriveX25519Secrets(ephemeral.privateKey, recipientKey, ephemeralDer, recipientDer);
+    const sealed = sealWithKey(kek, contentKey);
+    return {
+      ...address,
+      ...(stealth ? { tag } : {}),
+      alg: X25519_ALG,
+      epk: ephemeralDer.toString('base64'),
+      iv: sealed.iv,
+      authTag: sealed.authTag,
+      wrappedKey: sealed.ciphertext
+    };
+  }
+  if (recipientKey.asymmetricKeyType === 'rsa') {
+    const wrappedKey = publicEncrypt(
+      { key: recipientKey, padding: constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+      contentKey
+    );
+    // RSA 收件人没有可派生的标签，隐匿模式下只能逐条试解
+    return { ...address, alg: RSA_OAEP_ALG, wrappedKey: wrappedKey.toString('base64') };
+  }
+  throw new Error(`Unsupported recipient key type: ${recipientKey.asymmetricKeyType}`);
+}
+
+function unwrapContentKey(privateKeyObject, recipient) {
+  const keyType = privateKeyObject.asymmetricKeyType;
+  if (recipient.alg === X25519_ALG && keyType === 'x25519') {
+    const ephemeralDer = Buffer.from(recipient.epk, 'base64');
+    const ephemeralKey = createPublicKey({ key: ephemeralDer, format: 'der', type: 'spki' });
+    const recipientDer = createPublicKey(privateKeyObject).export({ type: 'spki', format: 'der' });
+    const { kek, tag } = deriveX25519Secrets(privateKeyObject, ephemeralKey, ephemeralDer, recipientDer);
+    if (recipient.tag && recipient.tag !== tag) {
+      return null;
+    }
+    return openWithKey(kek, { iv: recipient.iv, authTag: recipient.authTag, ciphertext: recipient.wrappedKey });
+  }
+  if (recipient.alg === RSA_OAEP_ALG && keyType === 'rsa') {
+    return privateDecrypt(
+      { key: privateKeyObject, padding: constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+      Buffer.from(recipient.wrappedKey, 'base64')
+    );
+  }
+  return null;
+}
+
+function xorKeys(a, b) {
+  return Buffer.from(a.map((byte, i) => byte ^ b[i]));
+}
+
+function recoverContentKey(privateKeyObject, payload) {
+  for (const recipient of payload.recipients ?? []) {
+    try {
+      const contentKey = unwrapContentKey(privateKeyObject, recipient);
+      if (contentKey) return contentKey;
+    } catch (error) {
+      // 不是写给这把密钥的条目，继续尝试下一个
+    }
+  }
+  return null;
+}
+
+// 隐匿条目没有 kid，用标签或封装密钥摘要占位，保证收件人名单仍被关联数据绑定
+function recipientBinding(recipient) {
+  return recipient.kid ?? recipient.tag ?? createHash('sha256').update(recipient.wrappedKey ?? '').digest('hex');
+}
+
+// 关联数据绑定全部收件人指纹：中继无法把信件挂到名单之外的指纹下
+function letterAad({ v, enc, padding, recipients = [], metadata, createdAt, timeLock, revocation, sender, sealedMetadata }) {
+  const recipientFingerprints = recipients.map(recipientBinding);
+  // 署名块与加密元数据的存在与否也写入关联数据，剥离任何一块都会导致正文无法解密
+  const flags = {
+    ...(padding ? { padding } : {}),
+    ...(timeLock ? { timeLock: { openAt: timeLock.openAt, beaconDate: timeLock.beaconDate, kid: timeLock.kid } } : {}),
+    ...(revocation ? { revocation } : {}),
+    ...(sender ? { signed: true } : {}),
+    ...(sealedMetadata ? { sealedMetadata: true } : {})
+  };
+  return Buffer.from(JSON.stringify({ v, enc, recipientFingerprints, metadata, createdAt, ...flags }), 'utf8');
+}
+
+// 签名覆盖收件人名单、元数据与正文摘要，防止把署名信件原样转投给其他人
+function senderStatement(envelope, plaintext, privateMetadata) {
+  return JSON.stringify({
+    recipientFingerprints: envelope.recipients.map(recipientBinding),
+    metadata: envelope.metadata,
+    ...(privateMetadata ? { privateMetadata } : {}),
+    // 撤回公钥在署名范围内，收件人可确认墓碑确实出自寄信人
+    ...(envelope.revocation ? { revocationKey: envelope.revocation.publicKey } : {}),
+    createdAt: envelope.createdAt,
+    contentHash: createHash('sha256').update(plaintext, 'utf8').digest('hex')
+  });
+}
+
+function openSender(contentKey, payload, plaintext, privateMetadata) {
+  let sender;
+  try {
+    sender = JSON.parse(openWithKey(contentKey, payload.sender, letterAad(payload)).toString('utf8'));
+  } catch (error) {
+    return { publicKey: null, fingerprint: null, signatureValid: false };
+  }
+  return {
+    publicKey: sender.publicKey,
+    fingerprint: sender.publicKey ? fingerprintPublicKey(sender.publicKey) : null,
+    signatureValid: verifyMessageSignature(
+      sender.publicKey,
+      senderStatement(payload, plaintext, privateMetadata),
+      sender.signature
+    )
+  };
+}
+
+export function listLetterRecipients(payload) {
+  if (payload?.v !== LETTER_VERSION) return [];
+  return (payload.recipients ?? []).map((recipient) => recipient.kid).filter(Boolean);
+}
+
+export function isStealthLetter(payload) {
+  const recipients = payload?.v === LETTER_VERSION ? payload.recipients ?? [] : [];
+  return recipients.length > 0 && recipients.every((recipient) => !recipient.kid);
+}
+
+// 扫描隐匿信件：只恢复内容密钥，不解密正文
+export function matchStealthLetter(privateKey, payload) {
+  if (!isStealthLetter(payload)) return false;
+  return Boolean(recoverContentKey(createPrivateKey(privateKey), payload));
+}
+
+// metadata 随正文一起加密；只有 options.publicMetadata 以明文写入区块，供中继与副本读取
+export function encryptLetter(publicKeys, plaintext, metadata = {}, options = {}) {
+  const recipientKeys = [...new Set(Array.isArray(publicKeys) ? publicKeys : [publicKeys])];
+  if (!recipientKeys.length) {
+    throw new Error('At least one recipient public key is required');
+  }
+  const publicMetadata = options.publicMetadata ?? {};
+  if (Buffer.byteLength(JSON.stringify(publicMetadata), 'utf8') > MAX_PUBLIC_METADATA_BYTES) {
+    throw new Error(`Public metadata exceeds ${MAX_PUBLIC_METADATA_BYTES} bytes`);
+  }
+  if (options.revocation && !options.sender) {
+    throw new Error('Revocable letters must be signed by their sender');
+  }
+  const privateMetadata = metadata && Object.keys(metadata).length ? metadata : null;
+  const contentKey = randomBytes(32);
+  // 定时信件把内容密钥拆成两份：收件人只拿到一份，另一份封给开启日期的目录信标
+  let recipientShare = contentKey;
+  let timeLock = null;
+  if (options.timeLock) {
+    const { openAt, beaconDate, beaconPublicKey } = options.timeLock;
+    if (Number.isNaN(Date.parse(openAt)) || !beaconDate || !beaconPublicKey) {
+      throw new Error('Time lock requires openAt and a date beacon public key');
+    }
+    const beaconShare = randomBytes(32);
+    recipientShare = xorKeys(contentKey, beaconShare);
+    timeLock = { openAt: new Date(openAt).toISOString(), beaconDate, ...wrapContentKey(beaconPublicKey, beaconShare) };
+  }
+  const envelope = {
+    v: LETTER_VERSION,
+    enc: CONTENT_ENC,
+    padding: PADDING_SCHEME,
+    metadata: publicMetadata,
+    createdAt: new Date().toISOString(),
+    recipients: recipientKeys.map((publicKey) => wrapContentKey(publicKey, recipientShare, { stealth: options.stealth })),
+    ...(timeLock ? { timeLock } : {}),
+    ...(options.revocation ? { revocation: options.revocation } : {})
+  };
+  const aad = letterAad({ ...envelope, sender: options.sender, sealedMetadata: privateMetadata });
+  if (privateMetadata) {
+    const metadataBytes = padToBucket(Buffer.from(JSON.stringify(privateMetadata), 'utf8'), METADATA_SIZE_BUCKETS);
+    envelope.sealedMetadata = sealWithKey(contentKey, metadataBytes, aad);
+  }
+  if (options.sender) {
+    const signature = signMessage(options.sender.privateKey, senderStatement(envelope, plaintext, privateMetadata));
+    const senderBlock = JSON.stringify({ publicKey: options.sender.publicKey, signature });
+    envelope.sender = sealWithKey(contentKey, Buffer.from(senderBlock, 'utf8'), aad);
+  }
+  const sealed = sealWithKey(contentKey, padToBucket(Buffer.from(plaintext, 'utf8'), LETTER_SIZE_BUCKETS), aad);
+  return { ...envelope, ...sealed };
+}
+
+// v1 信件：RSA 默认填充封装对称密钥，没有版本号与关联数据，仅保留解密能力
+function decryptLegacyLetter(privateKey, payload) {
   const symmetricKey = privateDecrypt(privateKey, Buffer.from(payload.encryptedKey, 'base64'));
   const iv = Buffer.from(payload.iv, 'base64');
   const authTag = Buffer.from(payload.authTag, 'base64');
@@ -53,12 +333,79 @@ export function decryptLetter(privateKey, payload) {
   return { plaintext, metadata: payload.metadata, createdAt: payload.createdAt };
 }
 
+export function decryptLetter(privateKey, payload, options = {}) {
+  if (payload?.v !== LETTER_VERSION) {
+    return decryptLegacyLetter(privateKey, payload);
+  }
+  if (options.ownerFingerprint && !listLetterRecipients(payload).includes(options.ownerFingerprint)) {
+    throw new Error('Letter is not addressed to the fingerprint it was filed under');
+  }
+  const recipientShare = recoverContentKey(createPrivateKey(privateKey), payload);
+  if (!recipientShare) {
+    throw new Error('Letter is not addressed to this key');
+  }
+  const { timeLock } = payload;
+  if (timeLock && (!options.beaconPrivateKey || Date.now() < Date.parse(timeLock.openAt))) {
+    return {
+      locked: true,
+      openAt: timeLock.openAt,
+      beaconDate: timeLock.beaconDate,
+      plaintext: null,
+      metadata: payload.metadata ?? {},
+      publicMetadata: payload.metadata ?? {},
+      createdAt: payload.createdAt,
+      version: payload.v,
+      recipientFingerprints: listLetterRecipients(payload),
+      sender: null
+    };
+  }
+  const beaconShare = timeLock ? unwrapContentKey(createPrivateKey(options.beaconPrivateKey), timeLock) : null;
+  if (timeLock && !beaconShare) {
+    throw new Error('Date beacon key does not open this letter');
+  }
+  const contentKey = timeLock ? xorKeys(recipientShare, beaconShare) : recipientShare;
+  if (payload.padding && payload.padding !== PADDING_SCHEME) {
+    throw new Error(`Unsupported letter padding: ${payload.padding}`);
+  }
+  const aad = letterAad(payload);
+  // 早期 v2 信件没有补齐，按 padding 字段区分
+  const open = (sealed) => {
+    const bytes = openWithKey(contentKey, sealed, aad);
+    return (payload.padding === PADDING_SCHEME ? stripPadding(bytes) : bytes).toString('utf8');
+  };
+  const plaintext = open(payload);
+  const privateMetadata = payload.sealedMetadata ? JSON.parse(open(payload.sealedMetadata)) : null;
+  return {
+    plaintext,
+    metadata: { ...payload.metadata, ...privateMetadata },
+    publicMetadata: payload.metadata ?? {},
+    createdAt: payload.createdAt,
+    version: payload.v,
+    recipientFingerprints: listLetterRecipients(payload),
+    sender: payload.sender ? openSender(contentKey, payload, plaintext, privateMetadata) : null
+  };
+}
+
 export function hashPayload(payload) {
   return createHash('sha256').update(JSON.stringify(payload)).digest('hex');
 }
 
+export function buildBlockHeader(block) {
+  const { letters, ...header } = block;
+  if (Array.isArray(letters)) {
+    header.merkleRoot = computeMerkleRoot(letters);
+  }
+  return header;
+}
+
 export function buildBlockHash(block) {
   const copy = { ...block };
   delete copy.hash;
+  delete copy.signature;
+  if (Number(copy.version) >= 2) {
+    // v2 区块只对区块头哈希，信件集合通过 Merkle 根承诺，便于出具包含证明
+    const header = buildBlockHeader(copy);
+    return hashPayload(header);
+  }
   return hashPayload(copy);
 }
@@ -0,0 +1,67 @@
+import { createHmac, createPrivateKey, createPublicKey } from 'node:crypto';
+import { fingerprintRelayKey, signMessage, verifyMessageSignature } from './crypto.js';
+
+// 日期信标：目录为每个 UTC 日期派生一对 X25519 密钥，提前公布公钥，当天到来后才公布私钥
+const X25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b656e04220420', 'hex');
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+export const MAX_BEACON_YEARS_AHEAD = 100;
+
+function beaconBody(beacon) {
+  const { date, publicKey } = beacon;
+  return JSON.stringify({ date, publicKey });
+}
+
+// 信标在所属日期的 UTC 零点公布私钥，因此取不早于 openAt 的第一个零点，否则信件会提前最多近一天开启
+export function beaconDateFor(openAt) {
+  const date = new Date(openAt);
+  if (date.getUTCHours() || date.getUTCMinutes() || date.getUTCSeconds() || date.getUTCMilliseconds()) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+export function isValidBeaconDate(date, now = new Date()) {
+  if (typeof date !== 'string' || !DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) {
+    return false;
+  }
+  return Number(date.slice(0, 4)) <= now.getUTCFullYear() + MAX_BEACON_YEARS_AHEAD;
+}
+
+export function isBeaconReleased(date, now = new Date()) {
+  return date <= now.toISOString().slice(0, 10);
+}
+
+function deriveBeaconKeyPair(secret, date) {
+  const seed = createHmac('sha256', Buffer.from(secret, 'base64')).update(`date-beacon:${date}`).digest();
+  const privateKey = createPrivateKey({
+    key: Buffer.concat([X25519_PKCS8_PREFIX, seed]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+  return {
+    publicKey: createPublicKey(privateKey).export({ type: 'spki', format: 'pem' }).toString(),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }).toString()
+  };
+}
+
+export function buildDateBeacon(signer, secret, date, now = new Date()) {
+  const { publicKey, privateKey } = deriveBeaconKeyPair(secret, date);
+  const beacon = { date, publicKey, signedBy: fingerprintRelayKey(signer.publicKey) };
+  beacon.signature = signMessage(signer.privateKey, beaconBody(beacon));
+  if (isBeaconReleased(date, now)) {
+    beacon.privateKey = privateKey;
+  }
+  return beacon;
+}
+
+// 私钥不在签名范围内，通过与已签名公钥配对来确认
+export function verifyDateBeacon(beacon, directoryPublicKey) {
+  if (!beacon?.signature || !directoryPublicKey || !DATE_PATTERN.test(beacon.date ?? '')) return false;
+  if (!verifyMessageSignature(directoryPublicKey, beaconBody(beacon), beacon.signature)) return false;
+  if (!beacon.privateKey) return true;
+  try {
+    return createPublicKey(beacon.privateKey).export({ type: 'spki', format: 'pem' }).toString() === beacon.publicKey;
+  } catch (error) {
+    return false;
+  }
+}
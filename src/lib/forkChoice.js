@@ -0,0 +1,62 @@
+function relayIdentity(relay) {
+  return relay?.fingerprint || relay?.onion || null;
+}
+
+function hashesOf(chain) {
+  if (Array.isArray(chain)) return chain;
+  return chain?.hashes ?? [];
+}
+
+export function buildAttestationIndex(relays = []) {
+  const attestations = new Map();
+  relays.forEach((relay) => {
+    const identity = relayIdentity(relay);
+    if (!identity || relay.quarantine) return;
+    hashesOf(relay.chainSummary).forEach((hash) => {
+      if (!attestations.has(hash)) {
+        attestations.set(hash, new Set());
+      }
+      attestations.get(hash).add(identity);
+    });
+  });
+  return attestations;
+}
+
+export function countAttestations(attestations, hash) {
+  return attestations?.get(hash)?.size ?? 0;
+}
+
+export function findDivergence(hashesA = [], hashesB = []) {
+  const minLength = Math.min(hashesA.length, hashesB.length);
+  for (let i = 0; i < minLength; i += 1) {
+    if (hashesA[i] !== hashesB[i]) return i;
+  }
+  return -1;
+}
+
+// 返回值 > 0 表示 a 更优，< 0 表示 b 更优。
+// 在分叉点比较独立中继的背书数量，而不是链长：少数中继伪造的长链无法压过多数中继确认的分支。
+export function compareChains(chainA, chainB, attestations) {
+  const hashesA = hashesOf(chainA);
+  const hashesB = hashesOf(chainB);
+  const divergeAt = findDivergence(hashesA, hashesB);
+  if (divergeAt !== -1) {
+    const weightA = countAttestations(attestations, hashesA[divergeAt]);
+    const weightB = countAttestations(attestations, hashesB[divergeAt]);
+    if (weightA !== weightB) return weightA - weightB;
+  }
+  if (hashesA.length !== hashesB.length) return hashesA.length - hashesB.length;
+  const tipA = hashesA[hashesA.length - 1] ?? '';
+  const tipB = hashesB[hashesB.length - 1] ?? '';
+  if (tipA === tipB) return 0;
+  return tipA < tipB ? 1 : -1;
+}
+
+export function chooseCanonicalChain(candidates = [], attestations) {
+  return candidates
+    .filter((candidate) => hashesOf(candidate).length > 0)
+    .reduce((best, candidate) => {
+      if (!best) return candidate;
+      return compareChains(candidate, best, attestations) > 0 ? candidate : best;
+    }, null);
+}
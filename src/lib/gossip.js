@@ -0,0 +1,70 @@
+import { randomInt } from 'node:crypto';
+import { signMessage, verifyMessageSignature } from './crypto.js';
+
+const GOSSIP_VERSION = 1;
+export const MAX_GOSSIP_HEADERS = 32;
+export const GOSSIP_MAX_AGE_MS = 5 * 60 * 1000;
+export const DEFAULT_GOSSIP = { enabled: true, maxPeers: 6 };
+
+export function normalizeGossipPolicy(policy = {}) {
+  const maxPeers = Number.parseInt(policy.maxPeers, 10);
+  return {
+    enabled: policy.enabled !== false,
+    maxPeers: Number.isInteger(maxPeers) && maxPeers > 0 ? Math.min(maxPeers, 32) : DEFAULT_GOSSIP.maxPeers
+  };
+}
+
+// 随机抽取对等点而非按评分取前几名，否则所有中继都会连向同一批高分节点；仍可用的旧对等点优先保留
+export function selectGossipPeers(relays = [], { maxPeers = DEFAULT_GOSSIP.maxPeers, keep = [] } = {}) {
+  const kept = relays.filter((relay) => keep.includes(relay.fingerprint));
+  const rest = relays.filter((relay) => !keep.includes(relay.fingerprint));
+  for (let i = rest.length - 1; i > 0; i -= 1) {
+    const j = randomInt(i + 1);
+    [rest[i], rest[j]] = [rest[j], rest[i]];
+  }
+  return [...kept, ...rest].slice(0, maxPeers);
+}
+
+function gossipBody(message) {
+  const { v, from, onion, sentAt, headers } = message;
+  return JSON.stringify({ v, from, onion, sentAt, headers });
+}
+
+// 只推送区块头，收到的一方按需从发送方拉取缺失的区块
+export function buildGossipMessage(signer, { onion, blocks }) {
+  const message = {
+    v: GOSSIP_VERSION,
+    from: signer.fingerprint,
+    onion,
+    sentAt: new Date().toISOString(),
+    headers: blocks.slice(-MAX_GOSSIP_HEADERS).map(({ index, hash, previousHash, timestamp }) => ({
+      index,
+      hash,
+      previousHash,
+      timestamp
+    }))
+  };
+  message.signature = signMessage(signer.privateKey, gossipBody(message));
+  return message;
+}
+
+export function verifyGossipMessage(message, publicKey, { now = Date.now(), maxAgeMs = GOSSIP_MAX_AGE_MS } = {}) {
+  if (message?.v !== GOSSIP_VERSION || !message.signature) {
+    return { ok: false, reason: 'Malformed gossip message' };
+  }
+  const { headers } = message;
+  if (!Array.isArray(headers) || !headers.length || headers.length > MAX_GOSSIP_HEADERS) {
+    return { ok: false, reason: `Gossip must carry 1-${MAX_GOSSIP_HEADERS} block headers` };
+  }
+  if (headers.some((header) => typeof header?.hash !== 'string' || !Number.isInteger(header.index))) {
+    return { ok: false, reason: 'Gossip headers need an index and hash' };
+  }
+  const sentAt = Date.parse(message.sentAt);
+  if (Number.isNaN(sentAt) || Math.abs(now - sentAt) > maxAgeMs) {
+    return { ok: false, reason: 'Gossip message is stale' };
+  }
+  if (!verifyMessageSignature(publicKey, gossipBody(message), message.signature)) {
+    return { ok: false, reason: 'Invalid gossip signature' };
+  }
+  return { ok: true };
+}
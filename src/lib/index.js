@@ -3,8 +3,19 @@ export * from './paths.js';
 export * from './jsonStore.js';
 export * from './crypto.js';
 export * from './blockchain.js';
+export * from './blockLog.js';
+export * from './mutex.js';
+export * from './merkle.js';
+export * from './receipts.js';
+export * from './letterSchema.js';
+export * from './admission.js';
+export * from './gossip.js';
+export * from './tombstones.js';
 export * from './torController.js';
 export * from './relaySelector.js';
+export * from './forkChoice.js';
+export * from './checkpoints.js';
+export * from './dateBeacons.js';
 export * from './keyManager.js';
 export * from './letterSearch.js';
 export * from './network.js';
@@ -1,6 +1,6 @@
 import path from 'node:path';
 import { JsonStore } from './jsonStore.js';
-import { generateRsaKeyPair, fingerprintPublicKey } from './crypto.js';
+import { generateLetterKeyPair, fingerprintPublicKey } from './crypto.js';
 import { modeDataPath } from './paths.js';
 
 export class KeyManager {
@@ -20,7 +20,7 @@ export class KeyManager {
   }
 
   async create(label) {
-    const keyPair = generateRsaKeyPair();
+    const keyPair = generateLetterKeyPair();
     const fingerprint = fingerprintPublicKey(keyPair.publicKey);
     const entry = {
       id: fingerprint,
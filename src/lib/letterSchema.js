@@ -0,0 +1,197 @@
+import {
+  CONTENT_ENC,
+  LETTER_VERSION,
+  MAX_PUBLIC_METADATA_BYTES,
+  PADDING_SCHEME,
+  RSA_OAEP_ALG,
+  X25519_ALG
+} from './crypto.js';
+import { isValidBeaconDate } from './dateBeacons.js';
+
+export const DEFAULT_MAX_CLOCK_SKEW_MS = 10 * 60 * 1000;
+
+export const LETTER_ERROR_CODES = Object.freeze({
+  MALFORMED: 'letter-malformed',
+  UNSUPPORTED_VERSION: 'unsupported-version',
+  UNSUPPORTED_ENCRYPTION: 'unsupported-encryption',
+  INVALID_BASE64: 'invalid-base64',
+  INVALID_IV: 'invalid-iv',
+  INVALID_AUTH_TAG: 'invalid-auth-tag',
+  INVALID_RECIPIENTS: 'invalid-recipients',
+  INVALID_FINGERPRINT: 'invalid-fingerprint',
+  INVALID_CREATED_AT: 'invalid-created-at',
+  CLOCK_SKEW: 'clock-skew',
+  INVALID_METADATA: 'invalid-metadata',
+  INVALID_TIME_LOCK: 'invalid-time-lock',
+  INVALID_REVOCATION: 'invalid-revocation'
+});
+
+const IV_BYTES = 12;
+const AUTH_TAG_BYTES = 16;
+const STEALTH_TAG_BYTES = 16;
+const FINGERPRINT_PATTERN = /^[0-9a-f]{64}$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+const PEM_PATTERN = /^-----BEGIN PUBLIC KEY-----\n[A-Za-z0-9+/=\n]+-----END PUBLIC KEY-----\n?$/;
+
+function invalid(code, field, reason) {
+  return { ok: false, code, field, reason };
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+export function isFingerprint(value) {
+  return typeof value === 'string' && FINGERPRINT_PATTERN.test(value);
+}
+
+// 严格 base64：长度须为 4 的倍数，Buffer.from 对非法字符的静默忽略在这里被拒绝
+function decodeBase64(value) {
+  if (typeof value !== 'string' || value.length % 4 !== 0 || !BASE64_PATTERN.test(value)) {
+    return null;
+  }
+  return Buffer.from(value, 'base64');
+}
+
+function checkBase64(value, field, { bytes, code = LETTER_ERROR_CODES.INVALID_BASE64 } = {}) {
+  const decoded = decodeBase64(value);
+  if (!decoded || decoded.length === 0) {
+    return invalid(LETTER_ERROR_CODES.INVALID_BASE64, field, `${field} must be non-empty base64`);
+  }
+  if (bytes && decoded.length !== bytes) {
+    return invalid(code, field, `${field} must decode to ${bytes} bytes`);
+  }
+  return null;
+}
+
+function checkSealed(sealed, field) {
+  if (!isPlainObject(sealed)) {
+    return invalid(LETTER_ERROR_CODES.MALFORMED, field, `${field} must be an object`);
+  }
+  return (
+    checkBase64(sealed.iv, `${field}.iv`, { bytes: IV_BYTES, code: LETTER_ERROR_CODES.INVALID_IV }) ??
+    checkBase64(sealed.authTag, `${field}.authTag`, { bytes: AUTH_TAG_BYTES, code: LETTER_ERROR_CODES.INVALID_AUTH_TAG }) ??
+    checkBase64(sealed.ciphertext, `${field}.ciphertext`)
+  );
+}
+
+function checkKeyWrap(entry, field) {
+  if (!isPlainObject(entry)) {
+    return invalid(LETTER_ERROR_CODES.INVALID_RECIPIENTS, field, `${field} must be an object`);
+  }
+  if (entry.kid !== undefined && !isFingerprint(entry.kid)) {
+    return invalid(LETTER_ERROR_CODES.INVALID_FINGERPRINT, `${field}.kid`, `${field}.kid must be a 64-character hex fingerprint`);
+  }
+  if (entry.alg === X25519_ALG) {
+    return (
+      (entry.tag !== undefined
+        ? checkBase64(entry.tag, `${field}.tag`, { bytes: STEALTH_TAG_BYTES, code: LETTER_ERROR_CODES.INVALID_RECIPIENTS })
+        : null) ??
+      checkBase64(entry.epk, `${field}.epk`) ??
+      checkSealed({ iv: entry.iv, authTag: entry.authTag, ciphertext: entry.wrappedKey }, field)
+    );
+  }
+  if (entry.alg === RSA_OAEP_ALG) {
+    return checkBase64(entry.wrappedKey, `${field}.wrappedKey`);
+  }
+  return invalid(LETTER_ERROR_CODES.INVALID_RECIPIENTS, `${field}.alg`, `Unsupported key wrapping algorithm: ${entry.alg}`);
+}
+
+function checkRecipients(recipients) {
+  if (!Array.isArray(recipients) || recipients.length === 0) {
+    return invalid(LETTER_ERROR_CODES.INVALID_RECIPIENTS, 'recipients', 'recipients must be a non-empty array');
+  }
+  // 隐匿与公开寻址不能混用，否则公开的 kid 会把隐匿收件人一并暴露
+  const addressed = recipients.filter((entry) => entry?.kid !== undefined).length;
+  if (addressed && addressed !== recipients.length) {
+    return invalid(LETTER_ERROR_CODES.INVALID_RECIPIENTS, 'recipients', 'Recipients must be either all addressed or all stealth');
+  }
+  for (const [index, entry] of recipients.entries()) {
+    const issue = checkKeyWrap(entry, `recipients[${index}]`);
+    if (issue) return issue;
+  }
+  return null;
+}
+
+function checkCreatedAt(createdAt, now, maxClockSkewMs) {
+  const timestamp = typeof createdAt === 'string' ? Date.parse(createdAt) : Number.NaN;
+  if (Number.isNaN(timestamp)) {
+    return invalid(LETTER_ERROR_CODES.INVALID_CREATED_AT, 'createdAt', 'createdAt must be an ISO timestamp');
+  }
+  if (Math.abs(timestamp - now) > maxClockSkewMs) {
+    return invalid(
+      LETTER_ERROR_CODES.CLOCK_SKEW,
+      'createdAt',
+      `createdAt is more than ${Math.round(maxClockSkewMs / 1000)}s away from the relay clock`
+    );
+  }
+  return null;
+}
+
+function checkMetadata(metadata) {
+  if (metadata === undefined) return null;
+  if (!isPlainObject(metadata)) {
+    return invalid(LETTER_ERROR_CODES.INVALID_METADATA, 'metadata', 'metadata must be an object');
+  }
+  if (Buffer.byteLength(JSON.stringify(metadata), 'utf8') > MAX_PUBLIC_METADATA_BYTES) {
+    return invalid(LETTER_ERROR_CODES.INVALID_METADATA, 'metadata', `Public metadata exceeds ${MAX_PUBLIC_METADATA_BYTES} bytes`);
+  }
+  return null;
+}
+
+function checkTimeLock(timeLock) {
+  if (timeLock === undefined) return null;
+  if (!isPlainObject(timeLock) || typeof timeLock.openAt !== 'string' || Number.isNaN(Date.parse(timeLock.openAt))) {
+    return invalid(LETTER_ERROR_CODES.INVALID_TIME_LOCK, 'timeLock.openAt', 'timeLock.openAt must be an ISO timestamp');
+  }
+  if (!isValidBeaconDate(timeLock.beaconDate)) {
+    return invalid(LETTER_ERROR_CODES.INVALID_TIME_LOCK, 'timeLock.beaconDate', 'timeLock.beaconDate must be a YYYY-MM-DD date');
+  }
+  return checkKeyWrap(timeLock, 'timeLock');
+}
+
+function checkRevocation(revocation) {
+  if (revocation === undefined) return null;
+  if (!isPlainObject(revocation) || typeof revocation.publicKey !== 'string' || !PEM_PATTERN.test(revocation.publicKey)) {
+    return invalid(LETTER_ERROR_CODES.INVALID_REVOCATION, 'revocation.publicKey', 'revocation.publicKey must be a PEM public key');
+  }
+  return checkBase64(revocation.nonce, 'revocation.nonce');
+}
+
+// 中继入队前的结构校验：只看信封形状，不尝试解密；返回 { ok } 或 { ok: false, code, field, reason }
+export function validateLetterPayload(payload, { now = Date.now(), maxClockSkewMs = DEFAULT_MAX_CLOCK_SKEW_MS } = {}) {
+  if (!isPlainObject(payload)) {
+    return invalid(LETTER_ERROR_CODES.MALFORMED, 'payload', 'payload must be an object');
+  }
+  if (payload.v !== LETTER_VERSION) {
+    return invalid(LETTER_ERROR_CODES.UNSUPPORTED_VERSION, 'v', `Only envelope version ${LETTER_VERSION} is accepted`);
+  }
+  if (payload.enc !== CONTENT_ENC) {
+    return invalid(LETTER_ERROR_CODES.UNSUPPORTED_ENCRYPTION, 'enc', `Unsupported content encryption: ${payload.enc}`);
+  }
+  if (payload.padding !== undefined && payload.padding !== PADDING_SCHEME) {
+    return invalid(LETTER_ERROR_CODES.UNSUPPORTED_ENCRYPTION, 'padding', `Unsupported padding scheme: ${payload.padding}`);
+  }
+  const issue =
+    checkSealed(payload, 'payload') ??
+    checkRecipients(payload.recipients) ??
+    checkCreatedAt(payload.createdAt, now, maxClockSkewMs) ??
+    checkMetadata(payload.metadata) ??
+    (payload.sealedMetadata !== undefined ? checkSealed(payload.sealedMetadata, 'sealedMetadata') : null) ??
+    (payload.sender !== undefined ? checkSealed(payload.sender, 'sender') : null) ??
+    checkTimeLock(payload.timeLock) ??
+    checkRevocation(payload.revocation);
+  return issue ?? { ok: true };
+}
+
+export function validateRecipientFingerprints(fingerprints = [], field = 'recipientFingerprints') {
+  if (!Array.isArray(fingerprints)) {
+    return invalid(LETTER_ERROR_CODES.INVALID_FINGERPRINT, field, `${field} must be an array`);
+  }
+  for (const fingerprint of fingerprints) {
+    if (fingerprint != null && !isFingerprint(fingerprint)) {
+      return invalid(LETTER_ERROR_CODES.INVALID_FINGERPRINT, field, `${field} must be 64-character hex fingerprints`);
+    }
+  }
+  return { ok: true };
+}
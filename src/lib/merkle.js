@@ -0,0 +1,58 @@
+import { createHash } from 'node:crypto';
+
+function sha256(value) {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+export function hashMerkleLeaf(letter) {
+  return sha256(`leaf:${JSON.stringify(letter)}`);
+}
+
+export function hashMerkleNode(left, right) {
+  return sha256(`node:${left}${right}`);
+}
+
+export function computeMerkleRoot(letters = []) {
+  if (!letters.length) return null;
+  let level = letters.map((letter) => hashMerkleLeaf(letter));
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      // 奇数个节点时末尾节点直接晋升，避免重复叶子带来的歧义
+      next.push(i + 1 < level.length ? hashMerkleNode(level[i], level[i + 1]) : level[i]);
+    }
+    level = next;
+  }
+  return level[0];
+}
+
+export function buildMerkleProof(letters = [], position) {
+  if (position < 0 || position >= letters.length) {
+    throw new Error(`Letter position ${position} out of range`);
+  }
+  const path = [];
+  let level = letters.map((letter) => hashMerkleLeaf(letter));
+  let cursor = position;
+  while (level.length > 1) {
+    const siblingIndex = cursor % 2 === 0 ? cursor + 1 : cursor - 1;
+    if (siblingIndex < level.length) {
+      path.push({ side: cursor % 2 === 0 ? 'right' : 'left', hash: level[siblingIndex] });
+    }
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashMerkleNode(level[i], level[i + 1]) : level[i]);
+    }
+    level = next;
+    cursor = Math.floor(cursor / 2);
+  }
+  return path;
+}
+
+export function verifyMerkleProof(leafHash, path = [], expectedRoot) {
+  if (!leafHash || !expectedRoot || !Array.isArray(path)) return false;
+  const root = path.reduce(
+    (current, step) => (step.side === 'left' ? hashMerkleNode(step.hash, current) : hashMerkleNode(current, step.hash)),
+    leafHash
+  );
+  return root === expectedRoot;
+}
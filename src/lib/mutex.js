@@ -0,0 +1,12 @@
+// 异步互斥：任务按调用顺序逐个执行，前一个任务失败不影响后续任务
+export class Mutex {
+  constructor() {
+    this.tail = Promise.resolve();
+  }
+
+  run(task) {
+    const result = this.tail.catch(() => {}).then(task);
+    this.tail = result;
+    return result;
+  }
+}
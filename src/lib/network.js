@@ -10,7 +10,24 @@ export async function fetchJson(url, options = {}) {
   });
   if (!response.ok) {
     const text = await response.text();
-    throw new Error(`Request failed: ${response.status} ${text}`);
+    const error = new Error(`Request failed: ${response.status} ${text}`);
+    error.statusCode = response.status;
+    const retryAfter = response.headers.get('retry-after');
+    if (retryAfter) {
+      error.retryAfter = retryAfter;
+    }
+    // 中继对信封校验失败会返回结构化错误码，透传给上层以便界面提示
+    try {
+      const body = JSON.parse(text);
+      if (body?.code) {
+        error.code = body.code;
+        error.field = body.field;
+        error.reason = body.error;
+      }
+    } catch (parseError) {
+      // 非 JSON 响应只保留原始文本
+    }
+    throw error;
   }
   const data = await response.json();
   return data;
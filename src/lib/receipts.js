@@ -0,0 +1,51 @@
+import { hashPayload, signMessage, verifyMessageSignature, fingerprintRelayKey } from './crypto.js';
+
+const RECEIPT_VERSION = 1;
+
+function receiptBody(receipt) {
+  const { signature, ...body } = receipt;
+  return JSON.stringify(body);
+}
+
+export function buildLetterReceipt(signer, { block, position }) {
+  const letter = block.letters[position];
+  const receipt = {
+    v: RECEIPT_VERSION,
+    relayFingerprint: signer.fingerprint,
+    relayPublicKey: signer.publicKey,
+    ownerFingerprint: letter.ownerFingerprint,
+    payloadHash: hashPayload(letter.payload),
+    blockIndex: block.index,
+    blockHash: block.hash,
+    position,
+    acceptedAt: new Date().toISOString()
+  };
+  receipt.signature = signMessage(signer.privateKey, receiptBody(receipt));
+  return receipt;
+}
+
+export function verifyLetterReceipt(receipt, { payload, relayKeys } = {}) {
+  if (!receipt?.signature || !receipt.relayPublicKey) {
+    return { ok: false, reason: 'Receipt is not signed' };
+  }
+  if (fingerprintRelayKey(receipt.relayPublicKey) !== receipt.relayFingerprint) {
+    return { ok: false, reason: 'Relay fingerprint does not match receipt key' };
+  }
+  // 回执自带公钥，只有与目录登记的中继公钥一致才可信；传入 relayKeys 时未登记的中继一律拒绝
+  if (relayKeys) {
+    const pinnedKey = relayKeys.get(receipt.relayFingerprint);
+    if (!pinnedKey) {
+      return { ok: false, reason: 'Receipt relay is not registered with the directory' };
+    }
+    if (pinnedKey !== receipt.relayPublicKey) {
+      return { ok: false, reason: 'Receipt key differs from directory registry' };
+    }
+  }
+  if (payload && hashPayload(payload) !== receipt.payloadHash) {
+    return { ok: false, reason: 'Receipt does not cover this letter' };
+  }
+  if (!verifyMessageSignature(receipt.relayPublicKey, receiptBody(receipt), receipt.signature)) {
+    return { ok: false, reason: 'Bad receipt signature' };
+  }
+  return { ok: true };
+}
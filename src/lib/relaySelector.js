@@ -8,8 +8,15 @@ export function scoreRelay(relay) {
   return (latencyScore * 0.5 + reachabilityScore * 0.25 + freshnessScore * 0.25) * gfwPenalty;
 }
 
-export function selectBestRelay(relays = []) {
-  return [...relays]
+export function isFullArchive(relay) {
+  return relay?.chainSummary?.archival?.mode !== 'pruned';
+}
+
+export function selectBestRelay(relays = [], options = {}) {
+  const eligible = relays.filter((relay) => relay && !relay.quarantine);
+  // 需要历史信件时优先完整归档中继，没有可用的再退回裁剪中继
+  const fullArchives = options.preferFull ? eligible.filter(isFullArchive) : [];
+  return (fullArchives.length ? fullArchives : eligible)
     .map((relay) => ({ relay, score: scoreRelay(relay) }))
     .sort((a, b) => b.score - a.score)
     .map((entry) => entry.relay)[0];
@@ -2,7 +2,8 @@ import crypto from 'node:crypto';
 import path from 'node:path';
 import fs from 'fs-extra';
 import { modeDataPath } from './paths.js';
-import { generateRsaKeyPair, fingerprintPublicKey } from './crypto.js';
+import { generateLetterKeyPair, generateSigningKeyPair, fingerprintPublicKey } from './crypto.js';
+import { Mutex } from './mutex.js';
 
 const VAULT_FILENAME = 'keys.enc';
 
@@ -43,6 +44,24 @@ function decryptPayload(key, payload) {
 export class SecureKeyVault {
   constructor(mode = 'client') {
     this.usersDir = path.join(modeDataPath(mode), 'users');
+    this.locks = new Map();
+  }
+
+  lockFor(userId) {
+    if (!this.locks.has(userId)) {
+      this.locks.set(userId, new Mutex());
+    }
+    return this.locks.get(userId);
+  }
+
+  // 整库读改写：同一用户的写入排队执行，避免票据轮询与投递并发时互相覆盖；mutator 直接修改读出的数据
+  updateVault(userId, vaultKey, mutator) {
+    return this.lockFor(userId).run(async () => {
+      const data = await this.readVault(userId, vaultKey);
+      const result = await mutator(data);
+      await this.writeVault(userId, vaultKey, data);
+      return result;
+    });
   }
 
   async ensureUserDir(userId) {
@@ -52,37 +71,44 @@ export class SecureKeyVault {
   }
 
   async initializeVault(userId, vaultKey) {
-    const dir = await this.ensureUserDir(userId);
-    const filePath = path.join(dir, VAULT_FILENAME);
-    const exists = await fs.pathExists(filePath);
-    if (!exists) {
-      await fs.writeJson(filePath, encryptPayload(toBuffer(vaultKey), { keys: [] }), { spaces: 2 });
-    }
+    return this.lockFor(userId).run(async () => {
+      const dir = await this.ensureUserDir(userId);
+      const filePath = path.join(dir, VAULT_FILENAME);
+      const exists = await fs.pathExists(filePath);
+      if (!exists) {
+        await fs.writeJson(filePath, encryptPayload(toBuffer(vaultKey), { keys: [] }), { spaces: 2 });
+      }
+    });
   }
 
-  async readKeys(userId, vaultKey) {
+  async readVault(userId, vaultKey) {
     const dir = await this.ensureUserDir(userId);
     const filePath = path.join(dir, VAULT_FILENAME);
     const exists = await fs.pathExists(filePath);
     if (!exists) {
-      return [];
+      return { keys: [] };
     }
     const payload = await fs.readJson(filePath);
     const data = decryptPayload(toBuffer(vaultKey), payload);
     if (!data || !Array.isArray(data.keys)) {
       throw new Error('密钥库损坏或密码不匹配');
     }
-    return data.keys;
+    return data;
   }
 
-  async writeKeys(userId, vaultKey, keys) {
+  async writeVault(userId, vaultKey, data) {
     const dir = await this.ensureUserDir(userId);
     const filePath = path.join(dir, VAULT_FILENAME);
-    const payload = encryptPayload(toBuffer(vaultKey), { keys });
-    await fs.writeJson(filePath, payload, { spaces: 2 });
-    return keys;
+    await fs.writeJson(filePath, encryptPayload(toBuffer(vaultKey), data), { spaces: 2 });
+    return data;
   }
 
+  async readKeys(userId, vaultKey) {
+    const data = await this.readVault(userId, vaultKey);
+    return data.keys;
+  }
+
+
   async listKeys(userId, vaultKey) {
     return this.readKeys(userId, vaultKey);
   }
@@ -93,23 +119,25 @@ export class SecureKeyVault {
   }
 
   async createKey(userId, vaultKey, label) {
-    const keys = await this.readKeys(userId, vaultKey);
-    const keyPair = generateRsaKeyPair();
+    const keyPair = generateLetterKeyPair();
+    const signingPair = generateSigningKeyPair();
     const fingerprint = fingerprintPublicKey(keyPair.publicKey);
     const entry = {
       id: fingerprint,
       label: label || `key-${fingerprint.slice(0, 6)}`,
       publicKey: keyPair.publicKey,
       privateKey: keyPair.privateKey,
+      signingPublicKey: signingPair.publicKey,
+      signingPrivateKey: signingPair.privateKey,
       createdAt: new Date().toISOString()
     };
-    keys.push(entry);
-    await this.writeKeys(userId, vaultKey, keys);
-    return entry;
+    return this.updateVault(userId, vaultKey, (data) => {
+      data.keys.push(entry);
+      return entry;
+    });
   }
 
   async importKey(userId, vaultKey, { label, publicKey, privateKey }) {
-    const keys = await this.readKeys(userId, vaultKey);
     const fingerprint = fingerprintPublicKey(publicKey);
     const entry = {
       id: fingerprint,
@@ -118,14 +146,87 @@ export class SecureKeyVault {
       privateKey,
       createdAt: new Date().toISOString()
     };
-    const filtered = keys.filter((key) => key.id !== fingerprint);
-    filtered.push(entry);
-    await this.writeKeys(userId, vaultKey, filtered);
-    return entry;
+    return this.updateVault(userId, vaultKey, (data) => {
+      data.keys = [...data.keys.filter((key) => key.id !== fingerprint), entry];
+      return entry;
+    });
+  }
+
+  // 导入的或早期创建的密钥没有签名密钥对，首次署名时补发
+  async ensureSigningKey(userId, vaultKey, keyId) {
+    const existing = await this.findKey(userId, vaultKey, keyId);
+    if (!existing || (existing.signingPublicKey && existing.signingPrivateKey)) {
+      return existing ?? null;
+    }
+    return this.updateVault(userId, vaultKey, (data) => {
+      const entry = data.keys.find((key) => key.id === keyId);
+      if (entry && (!entry.signingPublicKey || !entry.signingPrivateKey)) {
+        const signingPair = generateSigningKeyPair();
+        entry.signingPublicKey = signingPair.publicKey;
+        entry.signingPrivateKey = signingPair.privateKey;
+      }
+      return entry ?? null;
+    });
+  }
+
+  async listContacts(userId, vaultKey) {
+    const data = await this.readVault(userId, vaultKey);
+    return data.contacts ?? [];
+  }
+
+  async addContact(userId, vaultKey, { name, signingPublicKey }) {
+    const id = fingerprintPublicKey(signingPublicKey);
+    const entry = { id, name, signingPublicKey, addedAt: new Date().toISOString() };
+    return this.updateVault(userId, vaultKey, (data) => {
+      data.contacts = [...(data.contacts ?? []).filter((contact) => contact.id !== id), entry];
+      return entry;
+    });
+  }
+
+  async removeContact(userId, vaultKey, contactId) {
+    return this.updateVault(userId, vaultKey, (data) => {
+      const before = (data.contacts ?? []).length;
+      data.contacts = (data.contacts ?? []).filter((contact) => contact.id !== contactId);
+      return data.contacts.length !== before;
+    });
+  }
+
+  async listReceipts(userId, vaultKey, keyId) {
+    const data = await this.readVault(userId, vaultKey);
+    return data.receipts?.[keyId] ?? [];
+  }
+
+  async addReceipt(userId, vaultKey, keyId, receipt) {
+    return this.updateVault(userId, vaultKey, (data) => {
+      data.receipts = { ...(data.receipts || {}), [keyId]: [...(data.receipts?.[keyId] || []), receipt] };
+      return receipt;
+    });
+  }
+
+  async listTickets(userId, vaultKey) {
+    const data = await this.readVault(userId, vaultKey);
+    return data.tickets ?? [];
+  }
+
+  async saveTicket(userId, vaultKey, ticket) {
+    return this.updateVault(userId, vaultKey, (data) => {
+      data.tickets = [...(data.tickets ?? []).filter((entry) => entry.id !== ticket.id), ticket];
+      return ticket;
+    });
+  }
+
+  async removeTicket(userId, vaultKey, ticketId) {
+    return this.updateVault(userId, vaultKey, (data) => {
+      const before = (data.tickets ?? []).length;
+      data.tickets = (data.tickets ?? []).filter((entry) => entry.id !== ticketId);
+      return data.tickets.length !== before;
+    });
   }
 
   async rotateKey(userId, oldVaultKey, newVaultKey) {
-    const keys = await this.readKeys(userId, oldVaultKey);
-    await this.writeKeys(userId, newVaultKey, keys);
+    return this.lockFor(userId).run(async () => {
+      const data = await this.readVault(userId, oldVaultKey);
+      await this.writeVault(userId, newVaultKey, data);
+    });
   }
 }
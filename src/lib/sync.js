@@ -1,13 +1,94 @@
 import { selectBestRelay } from './relaySelector.js';
+import { buildAttestationIndex } from './forkChoice.js';
+import { verifyChainCheckpoint } from './checkpoints.js';
+import { verifyDateBeacon } from './dateBeacons.js';
 import { safeFetch } from './network.js';
 
+const BLOCK_FETCH_TIMEOUT_MS = Number(process.env.BLOCK_FETCH_TIMEOUT_MS ?? 30000);
+
 export async function fetchRelayManifest(directoryBaseUrl) {
   const data = await safeFetch(`${directoryBaseUrl}/api/relays`);
   if (!data) return [];
   return data.relays ?? [];
 }
 
-export async function chooseRelay(directoryBaseUrl) {
+export async function chooseRelay(directoryBaseUrl, options = {}) {
   const relays = await fetchRelayManifest(directoryBaseUrl);
-  return selectBestRelay(relays);
+  return selectBestRelay(relays, options);
+}
+
+export function buildRelayKeyRegistry(relays = []) {
+  const registry = new Map();
+  relays.forEach((relay) => {
+    if (relay?.fingerprint && relay.publicKey) {
+      registry.set(relay.fingerprint, relay.publicKey);
+    }
+  });
+  return registry;
+}
+
+// 首次获取时信任目录公钥，之后只接受与已固定公钥一致的检查点
+export async function fetchDirectoryCheckpoints(directoryBaseUrl, pinnedKey = null) {
+  const empty = { checkpoints: [], directoryKey: pinnedKey, keyMismatch: false };
+  if (!directoryBaseUrl) return empty;
+  const data = await safeFetch(`${directoryBaseUrl.replace(/\/$/, '')}/api/checkpoints`);
+  if (!data?.publicKey) return empty;
+  if (pinnedKey && data.publicKey !== pinnedKey) {
+    return { ...empty, keyMismatch: true };
+  }
+  const checkpoints = (data.checkpoints ?? []).filter((checkpoint) => verifyChainCheckpoint(checkpoint, data.publicKey));
+  return { checkpoints, directoryKey: data.publicKey, keyMismatch: false };
+}
+
+export async function fetchDateBeacon(directoryBaseUrl, date, pinnedKey = null) {
+  if (!directoryBaseUrl) throw new Error('No directory URL configured');
+  const data = await safeFetch(`${directoryBaseUrl.replace(/\/$/, '')}/api/beacons/${encodeURIComponent(date)}`);
+  if (!data?.beacon || !data.publicKey) {
+    throw new Error(`Directory did not provide a date beacon for ${date}`);
+  }
+  if (pinnedKey && data.publicKey !== pinnedKey) {
+    throw new Error('Directory beacon key differs from pinned key');
+  }
+  if (!verifyDateBeacon(data.beacon, data.publicKey)) {
+    throw new Error(`Date beacon for ${date} failed verification`);
+  }
+  return { beacon: data.beacon, directoryKey: data.publicKey };
+}
+
+export async function fetchNetworkView(directoryBaseUrl, options = {}) {
+  const relays = directoryBaseUrl ? await fetchRelayManifest(directoryBaseUrl.replace(/\/$/, '')) : [];
+  const { checkpoints, directoryKey, keyMismatch } = await fetchDirectoryCheckpoints(
+    directoryBaseUrl,
+    options.directoryKey
+  );
+  return {
+    relays,
+    relayKeys: buildRelayKeyRegistry(relays),
+    attestations: relays.length ? buildAttestationIndex(relays) : null,
+    checkpoints,
+    directoryKey,
+    keyMismatch
+  };
+}
+
+export async function fetchBlocksSince(relayBaseUrl, sinceHash) {
+  const base = relayBaseUrl.replace(/\/$/, '');
+  return safeFetch(`${base}/api/blocks?since=${encodeURIComponent(sinceHash)}`, {
+    method: 'GET',
+    signal: AbortSignal.timeout(BLOCK_FETCH_TIMEOUT_MS)
+  });
+}
+
+// lock 只包住追加：远端请求期间不占用调用方的链锁，链头若已变化，追加时会因无法衔接而放弃
+export async function pullIncrementalBlocks(blockStore, relayBaseUrl, options = {}, { lock = null } = {}) {
+  const head = await blockStore.getLatestBlock();
+  if (!head?.hash) {
+    return { linked: false, reason: 'Local chain has no head' };
+  }
+  const data = await fetchBlocksSince(relayBaseUrl, head.hash);
+  if (!data?.found || !Array.isArray(data.blocks)) {
+    return { linked: false, reason: 'Remote does not know local head' };
+  }
+  const append = () => blockStore.appendRemoteBlocks(data.blocks, options);
+  return lock ? lock.run(append) : append();
 }
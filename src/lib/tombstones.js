@@ -0,0 +1,66 @@
+import { createHmac, createPrivateKey, createPublicKey, randomBytes } from 'node:crypto';
+import { hashPayload, signMessage, verifyMessageSignature } from './crypto.js';
+
+const TOMBSTONE_VERSION = 1;
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+// 撤回密钥由寄信人签名私钥与每封信的随机 nonce 派生：寄信人随时可重算，旁观者无法据此关联寄信人
+export function deriveRevocationKeyPair(signingPrivateKey, nonce) {
+  const seed = createHmac('sha256', signingPrivateKey).update(`letter-revocation:${nonce}`).digest();
+  const privateKey = createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+  return {
+    publicKey: createPublicKey(privateKey).export({ type: 'spki', format: 'pem' }).toString(),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }).toString()
+  };
+}
+
+export function createRevocationHandle(signingPrivateKey) {
+  const nonce = randomBytes(16).toString('base64');
+  return { nonce, publicKey: deriveRevocationKeyPair(signingPrivateKey, nonce).publicKey };
+}
+
+function tombstoneBody(tombstone) {
+  const { signature, ...body } = tombstone;
+  return JSON.stringify(body);
+}
+
+export function buildTombstone(signingPrivateKey, { payloadHash, revocation }) {
+  if (!payloadHash || !revocation?.nonce) {
+    throw new Error('Letter has no revocation handle');
+  }
+  const { publicKey, privateKey } = deriveRevocationKeyPair(signingPrivateKey, revocation.nonce);
+  if (publicKey !== revocation.publicKey) {
+    throw new Error('This signing key did not send the letter');
+  }
+  const tombstone = {
+    v: TOMBSTONE_VERSION,
+    payloadHash,
+    revocationKey: publicKey,
+    revokedAt: new Date().toISOString()
+  };
+  tombstone.signature = signMessage(privateKey, tombstoneBody(tombstone));
+  return tombstone;
+}
+
+export function verifyTombstone(tombstone, payload) {
+  if (!tombstone?.signature || tombstone.v !== TOMBSTONE_VERSION) {
+    return { ok: false, reason: 'Malformed tombstone' };
+  }
+  if (!payload?.revocation?.publicKey) {
+    return { ok: false, reason: 'Letter was not signed with a revocation key' };
+  }
+  if (hashPayload(payload) !== tombstone.payloadHash) {
+    return { ok: false, reason: 'Tombstone references another letter' };
+  }
+  if (tombstone.revocationKey !== payload.revocation.publicKey) {
+    return { ok: false, reason: 'Tombstone signer is not the letter sender' };
+  }
+  if (!verifyMessageSignature(tombstone.revocationKey, tombstoneBody(tombstone), tombstone.signature)) {
+    return { ok: false, reason: 'Invalid tombstone signature' };
+  }
+  return { ok: true };
+}
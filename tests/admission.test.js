@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MIN_POW_WITHOUT_IP_LIMIT,
+  RateLimiter,
+  computeProofOfWork,
+  computeProofOfWorkAsync,
+  normalizeAdmissionPolicy,
+  verifyProofOfWork
+} from '../src/lib/admission.js';
+
+test('rate limiter allows a fixed number of submissions per window', () => {
+  const limiter = new RateLimiter({ limit: 2, windowMs: 1000 });
+  assert.equal(limiter.take('1.2.3.4', 0).ok, true);
+  assert.equal(limiter.take('1.2.3.4', 10).ok, true);
+  const blocked = limiter.take('1.2.3.4', 400);
+  assert.equal(blocked.ok, false);
+  assert.equal(blocked.retryAfterMs, 600);
+  assert.equal(limiter.take('5.6.7.8', 400).ok, true);
+  assert.equal(limiter.take('1.2.3.4', 1000).ok, true);
+  assert.equal(new RateLimiter({ limit: 0 }).take('anyone').ok, true);
+});
+
+test('proof-of-work stamps are bound to their challenge', () => {
+  const stamp = computeProofOfWork('payload-hash', 12);
+  assert.equal(verifyProofOfWork('payload-hash', stamp, 12), true);
+  assert.equal(verifyProofOfWork('other-hash', stamp, 12), false);
+  assert.equal(verifyProofOfWork('payload-hash', null, 12), false);
+  assert.equal(verifyProofOfWork('payload-hash', null, 0), true);
+});
+
+test('async proof-of-work yields to the event loop between chunks', async () => {
+  let ticks = 0;
+  const timer = setInterval(() => {
+    ticks += 1;
+  }, 0);
+  const stamp = await computeProofOfWorkAsync('payload-hash', 14, { chunkSize: 64 });
+  clearInterval(timer);
+  assert.deepEqual(stamp, computeProofOfWork('payload-hash', 14));
+  assert.equal(verifyProofOfWork('payload-hash', stamp, 14), true);
+  assert.ok(ticks > 0);
+});
+
+test('admission policy falls back to defaults for invalid values', () => {
+  const policy = normalizeAdmissionPolicy({ maxPayloadBytes: -1, perIp: { limit: 0 }, powDifficulty: '99' });
+  assert.equal(policy.maxPayloadBytes, 131072);
+  assert.equal(policy.perIp.limit, 0);
+  assert.equal(policy.perFingerprint.limit, 10);
+  assert.equal(policy.powDifficulty, 28);
+});
+
+test('relays served over onion drop the shared per-IP bucket and require proof-of-work', () => {
+  const policy = { perIp: { limit: 30 }, powDifficulty: 0 };
+  const clearnet = normalizeAdmissionPolicy(policy);
+  assert.equal(clearnet.ipSource, 'socket');
+  assert.equal(clearnet.perIp.limit, 30);
+  assert.equal(clearnet.powDifficulty, 0);
+
+  const onion = normalizeAdmissionPolicy(policy, { onion: true });
+  assert.equal(onion.ipSource, 'off');
+  assert.equal(onion.perIp.limit, 0);
+  assert.equal(onion.powDifficulty, MIN_POW_WITHOUT_IP_LIMIT);
+  assert.equal(normalizeAdmissionPolicy({ ...policy, powDifficulty: 20 }, { onion: true }).powDifficulty, 20);
+
+  const pinned = normalizeAdmissionPolicy({ ...policy, ipSource: 'socket' }, { onion: true });
+  assert.equal(pinned.perIp.limit, 30);
+  assert.equal(normalizeAdmissionPolicy({ ...policy, ipSource: 'off' }).perIp.limit, 0);
+});
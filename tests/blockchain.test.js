@@ -4,14 +4,30 @@ import os from 'node:os';
 import path from 'node:path';
 import fs from 'node:fs/promises';
 import { BlockStore } from '../src/lib/blockchain.js';
+import { buildTombstone, createRevocationHandle, verifyTombstone } from '../src/lib/tombstones.js';
+import {
+  encryptLetter,
+  fingerprintPublicKey,
+  fingerprintRelayKey,
+  generateLetterKeyPair,
+  generateSigningKeyPair,
+  hashPayload,
+  matchStealthLetter,
+  signMessage
+} from '../src/lib/crypto.js';
 
 async function createStore() {
-  const tempFile = path.join(os.tmpdir(), `blockstore-${Date.now()}.json`);
+  const tempFile = path.join(os.tmpdir(), `blockstore-${Date.now()}-${Math.random().toString(16).slice(2)}.json`);
   const store = new BlockStore({ filePath: tempFile });
   await store.init();
   return { store, tempFile };
 }
 
+async function removeStore(tempFile) {
+  await fs.rm(tempFile, { force: true });
+  await fs.rm(tempFile.replace(/\.json$/, '.segments'), { recursive: true, force: true });
+}
+
 test('block store appends and validates chain', async () => {
   const { store, tempFile } = await createStore();
   const block = await store.appendLetterBlock({ ciphertext: 'abc', iv: 'iv', authTag: 'tag', encryptedKey: 'key' }, 'finger', {});
@@ -22,5 +38,291 @@ test('block store appends and validates chain', async () => {
   const summary = await store.getChainSummary();
   assert.equal(summary.length, 2);
   assert.equal(summary.latestHash, blocks[1].hash);
-  await fs.unlink(tempFile);
+  await removeStore(tempFile);
+});
+
+test('block store appends a remote tail that links to the local head', async () => {
+  const { store: source, tempFile: sourceFile } = await createStore();
+  const replicaFile = path.join(os.tmpdir(), `blockstore-replica-${Date.now()}.json`);
+  const replica = new BlockStore({ filePath: replicaFile });
+  await replica.init();
+  await replica.syncFromRemote(await source.getBlocks(), { force: true });
+  await source.appendLetterBlock({ ciphertext: 'a' }, 'finger', {});
+  await source.appendLetterBlock({ ciphertext: 'b' }, 'finger', {});
+
+  const head = await replica.getLatestBlock();
+  const tail = await source.getBlocksSince({ sinceHash: head.hash });
+  assert.equal(tail.found, true);
+  assert.equal(tail.blocks.length, 2);
+  const result = await replica.appendRemoteBlocks(tail.blocks);
+  assert.equal(result.linked, true);
+  assert.equal((await replica.getChainSummary()).latestHash, (await source.getChainSummary()).latestHash);
+
+  const unknown = await source.getBlocksSince({ sinceHash: 'missing' });
+  assert.equal(unknown.found, false);
+  const unlinked = await replica.appendRemoteBlocks(tail.blocks);
+  assert.equal(unlinked.linked, false);
+  await removeStore(sourceFile);
+  await removeStore(replicaFile);
+});
+
+test('block store migrates a legacy blocks.json into segments', async () => {
+  const { store: source, tempFile: sourceFile } = await createStore();
+  await source.appendLetterBlock({ ciphertext: 'legacy' }, 'finger', {});
+  const legacyBlocks = await source.getBlocks();
+  const legacyFile = path.join(os.tmpdir(), `blockstore-legacy-${Date.now()}.json`);
+  await fs.writeFile(legacyFile, JSON.stringify({ blocks: legacyBlocks }), 'utf8');
+
+  const migrated = new BlockStore({ filePath: legacyFile, segmentSize: 1 });
+  await migrated.init();
+  assert.deepEqual(await migrated.getBlocks(), legacyBlocks);
+  const descriptor = JSON.parse(await fs.readFile(legacyFile, 'utf8'));
+  assert.equal(descriptor.format, 'segmented-jsonl');
+
+  await migrated.appendLetterBlock({ ciphertext: 'next' }, 'finger', {});
+  const reopened = new BlockStore({ filePath: legacyFile });
+  await reopened.init();
+  const blocks = await reopened.getBlocks();
+  assert.equal(blocks.length, 3);
+  assert.equal(BlockStore.validateChain(blocks).ok, true);
+  await removeStore(sourceFile);
+  await removeStore(legacyFile);
+});
+
+test('concurrent local and remote appends keep the chain linked', async () => {
+  const { store, tempFile } = await createStore();
+  const { store: remote, tempFile: remoteFile } = await createStore();
+  await remote.syncFromRemote(await store.getBlocks(), { force: true });
+  const tail = [await remote.appendLettersBlock([{ ownerFingerprint: 'finger-r', payload: { ciphertext: 'r' } }])];
+  const [, remoteResult] = await Promise.all([
+    store.appendLettersBlock([{ ownerFingerprint: 'finger-a', payload: { ciphertext: 'a' } }]),
+    store.appendRemoteBlocks(tail),
+    store.appendLettersBlock([{ ownerFingerprint: 'finger-b', payload: { ciphertext: 'b' } }])
+  ]);
+  // 远端尾部接在旧链尾上，本地先出块后它不再衔接，应被拒绝而不是写出第二个高度 1
+  assert.equal(remoteResult.linked, false);
+  const blocks = await new BlockStore({ filePath: tempFile }).getBlocks();
+  assert.deepEqual(blocks.map((block) => block.index), [0, 1, 2]);
+  assert.equal(BlockStore.validateChain(blocks).ok, true);
+  await removeStore(tempFile);
+  await removeStore(remoteFile);
+});
+
+test('a torn index line is dropped before the next append', async () => {
+  const { store, tempFile } = await createStore();
+  await store.appendLettersBlock([{ ownerFingerprint: 'finger-a', payload: { ciphertext: 'a' } }]);
+  const indexPath = path.join(tempFile.replace(/\.json$/, '.segments'), 'index.jsonl');
+  await fs.appendFile(indexPath, '{"height":2,"index":2,"ha');
+
+  const reopened = await new BlockStore({ filePath: tempFile }).init();
+  await reopened.appendLettersBlock([{ ownerFingerprint: 'finger-b', payload: { ciphertext: 'b' } }]);
+  const blocks = await new BlockStore({ filePath: tempFile }).getBlocks();
+  assert.equal(blocks.length, 3);
+  assert.equal(BlockStore.validateChain(blocks).ok, true);
+  await removeStore(tempFile);
+});
+
+test('a chain replaced mid-swap is recovered instead of starting over', async () => {
+  const { store, tempFile } = await createStore();
+  await store.appendLettersBlock([{ ownerFingerprint: 'finger-a', payload: { ciphertext: 'a' } }]);
+  const blocks = await store.getBlocks();
+  // 模拟旧目录已移到一旁、新目录尚未换入时崩溃
+  const segmentDir = tempFile.replace(/\.json$/, '.segments');
+  await fs.rename(segmentDir, `${segmentDir}.old-1`);
+
+  const reopened = await new BlockStore({ filePath: tempFile }).init();
+  assert.deepEqual((await reopened.getBlocks()).map((block) => block.hash), blocks.map((block) => block.hash));
+  await reopened.syncFromRemote(blocks.slice(0, 1), { force: true });
+  const stem = path.basename(tempFile, '.json');
+  const siblings = (await fs.readdir(path.dirname(tempFile))).filter((name) => name.startsWith(stem));
+  assert.deepEqual(siblings.sort(), [`${stem}.json`, `${stem}.segments`]);
+  await removeStore(tempFile);
+});
+
+test('block store seals several letters into one block with a merkle root', async () => {
+  const { store, tempFile } = await createStore();
+  const block = await store.appendLettersBlock([
+    { ownerFingerprint: 'finger-a', payload: { ciphertext: 'a' } },
+    { ownerFingerprint: 'finger-b', payload: { ciphertext: 'b' } }
+  ]);
+  assert.equal(block.letters.length, 2);
+  assert.ok(block.merkleRoot);
+  assert.equal(BlockStore.validateChain(await store.getBlocks()).ok, true);
+
+  const tampered = structuredClone(await store.getBlocks());
+  tampered[1].merkleRoot = 'forged';
+  assert.equal(BlockStore.validateChain(tampered).ok, false);
+  await removeStore(tempFile);
+});
+
+test('letters already on chain are skipped by content id', async () => {
+  const { store, tempFile } = await createStore();
+  const first = await store.appendLettersBlock([{ ownerFingerprint: 'finger-a', payload: { ciphertext: 'a' } }]);
+  const block = await store.appendLettersBlock([
+    { ownerFingerprint: 'finger-a', payload: { ciphertext: 'a' } },
+    { ownerFingerprint: 'finger-b', payload: { ciphertext: 'b' } },
+    { ownerFingerprint: 'finger-b', payload: { ciphertext: 'b' } }
+  ]);
+  assert.equal(block.letters.length, 1);
+  assert.equal(await store.appendLettersBlock([{ payload: { ciphertext: 'b' } }]), null);
+  const located = await store.findLetterByPayloadHash(hashPayload({ ciphertext: 'a' }));
+  assert.equal(located.block.hash, first.hash);
+  assert.equal((await store.getBlocks()).length, 3);
+  await removeStore(tempFile);
+});
+
+test('letter proofs verify against the block header alone', async () => {
+  const { store, tempFile } = await createStore();
+  await store.appendLettersBlock([
+    { ownerFingerprint: 'finger-a', payload: { ciphertext: 'a' } },
+    { ownerFingerprint: 'finger-b', payload: { ciphertext: 'b' } },
+    { ownerFingerprint: 'finger-a', payload: { ciphertext: 'c' } }
+  ]);
+  const { proofs } = await store.getLetterProofs('finger-a');
+  assert.equal(proofs.length, 2);
+  proofs.forEach((proof) => {
+    assert.equal(proof.header.letters, undefined);
+    assert.equal(BlockStore.verifyLetterProof(proof, 'finger-a').ok, true);
+  });
+  const forged = { ...proofs[0], letter: { ...proofs[0].letter, payload: { ciphertext: 'x' } } };
+  assert.equal(BlockStore.verifyLetterProof(forged, 'finger-a').ok, false);
+  await removeStore(tempFile);
+});
+
+test('signed blocks verify against the relay key registry', async () => {
+  const signer = generateSigningKeyPair();
+  const fingerprint = fingerprintRelayKey(signer.publicKey);
+  const tempFile = path.join(os.tmpdir(), `blockstore-signed-${Date.now()}.json`);
+  const store = new BlockStore({ filePath: tempFile, signer: { fingerprint, privateKey: signer.privateKey } });
+  await store.init();
+  const block = await store.appendLetterBlock({ ciphertext: 'signed' }, 'finger', {});
+  assert.equal(block.sealedBy, fingerprint);
+  const blocks = await store.getBlocks();
+  const relayKeys = new Map([[fingerprint, signer.publicKey]]);
+  assert.equal(BlockStore.validateChain(blocks, { relayKeys, requireSignatures: true }).ok, true);
+
+  const impostor = generateSigningKeyPair();
+  const forged = structuredClone(blocks);
+  forged[1].signature = signMessage(impostor.privateKey, forged[1].hash);
+  assert.equal(BlockStore.validateChain(forged, { relayKeys }).ok, false);
+  assert.equal(BlockStore.validateChain(blocks, { requireSignatures: true }).ok, false);
+  await removeStore(tempFile);
+});
+
+test('pruned stores keep recent bodies, the full hash index and a signed checkpoint', async () => {
+  const signer = generateSigningKeyPair();
+  const fingerprint = fingerprintRelayKey(signer.publicKey);
+  const tempFile = path.join(os.tmpdir(), `blockstore-pruned-${Date.now()}.json`);
+  const store = new BlockStore({
+    filePath: tempFile,
+    segmentSize: 2,
+    signer: { fingerprint, privateKey: signer.privateKey },
+    archival: { mode: 'pruned', keepBlocks: 2 }
+  });
+  await store.init();
+  for (let i = 0; i < 6; i += 1) {
+    await store.appendLetterBlock({ ciphertext: `letter-${i}` }, 'finger', {});
+  }
+  const fullHashes = (await store.getManifest()).map((entry) => entry.hash);
+  const result = await store.applyArchivalPolicy();
+  assert.equal(result.pruned, true);
+  assert.equal(result.prunedBelow, 4);
+
+  const retained = await store.getBlocks();
+  assert.deepEqual(retained.map((block) => block.index), [4, 5, 6]);
+  const summary = await store.getChainSummary();
+  assert.deepEqual(summary.hashes, fullHashes);
+  assert.equal(summary.archival.mode, 'pruned');
+  const relayKeys = new Map([[fingerprint, signer.publicKey]]);
+  assert.equal(BlockStore.verifyCheckpointHeader(summary.archival.checkpoint, { relayKeys }).ok, true);
+  assert.equal(BlockStore.validateExtension(summary.archival.checkpoint, retained, { relayKeys }).ok, true);
+  assert.equal(BlockStore.validateChain(retained).ok, false);
+
+  assert.equal((await store.getBlocksSince({ sinceHash: fullHashes[1] })).pruned, true);
+  assert.equal((await store.getBlocksSince({ sinceHash: fullHashes[5] })).blocks[0].index, 6);
+
+  const reopened = new BlockStore({ filePath: tempFile, segmentSize: 2 });
+  assert.equal((await reopened.getLatestBlock()).index, 6);
+  assert.equal((await reopened.getBlocks()).length, 3);
+  await removeStore(tempFile);
+});
+
+test('sync refuses remote chains that contradict a directory checkpoint', async () => {
+  const { store: honest, tempFile: honestFile } = await createStore();
+  await honest.appendLetterBlock({ ciphertext: 'honest' }, 'finger', {});
+  const honestBlocks = await honest.getBlocks();
+  const manifest = await honest.getManifest();
+  const checkpoints = [{ height: 1, hash: honestBlocks[1].hash, checksum: hashPayload(manifest) }];
+
+  const forkFile = path.join(os.tmpdir(), `blockstore-fork-${Date.now()}.json`);
+  const fork = new BlockStore({ filePath: forkFile });
+  await fork.init();
+  await fork.syncFromRemote(honestBlocks.slice(0, 1), { force: true });
+  await fork.appendLetterBlock({ ciphertext: 'forged' }, 'finger', {});
+  await fork.appendLetterBlock({ ciphertext: 'longer' }, 'finger', {});
+  const forkBlocks = await fork.getBlocks();
+
+  const replicaFile = path.join(os.tmpdir(), `blockstore-checkpointed-${Date.now()}.json`);
+  const replica = new BlockStore({ filePath: replicaFile });
+  await replica.init();
+  await replica.syncFromRemote(honestBlocks.slice(0, 1), { force: true });
+  await assert.rejects(() => replica.syncFromRemote(forkBlocks, { checkpoints, force: true }), /checkpoint/);
+  await assert.rejects(() => replica.appendRemoteBlocks(forkBlocks.slice(1), { checkpoints }), /checkpoint/);
+  // 中继上报的伪造 checksum 即使进入旧检查点，也不能让真实的链被拒绝
+  const forged = [{ ...checkpoints[0], checksum: 'f'.repeat(64) }];
+  const result = await replica.syncFromRemote(honestBlocks, { checkpoints: forged });
+  assert.equal(result.updated, true);
+  await Promise.all([removeStore(honestFile), removeStore(forkFile), removeStore(replicaFile)]);
+});
+
+test('letters are indexed under every recipient fingerprint', async () => {
+  const { store, tempFile } = await createStore();
+  await store.appendLettersBlock([
+    { ownerFingerprint: 'alice', recipientFingerprints: ['alice', 'bob'], payload: { ciphertext: 'shared' } },
+    { ownerFingerprint: 'carol', payload: { ciphertext: 'solo' } }
+  ]);
+  assert.equal((await store.findLettersByFingerprint('bob')).length, 1);
+  assert.equal((await store.findLettersByFingerprint('alice'))[0].letter.payload.ciphertext, 'shared');
+  await store.appendLetterBlock({ ciphertext: 'later' }, 'bob', {});
+  assert.equal((await store.findLettersByFingerprint('bob')).length, 2);
+  const { proofs } = await store.getLetterProofs('bob');
+  assert.equal(proofs.length, 2);
+  assert.equal(BlockStore.verifyLetterProof(proofs[0], 'bob').ok, true);
+  await removeStore(tempFile);
+});
+
+test('stealth letters carry no fingerprint and are found by local scan', async () => {
+  const { store, tempFile } = await createStore();
+  const alice = generateLetterKeyPair();
+  const bob = generateLetterKeyPair();
+  const forAlice = encryptLetter(alice.publicKey, 'hidden', {}, { stealth: true });
+  await store.appendLettersBlock([{ payload: forAlice }, { ownerFingerprint: 'carol', payload: { ciphertext: 'open' } }]);
+  const [block] = (await store.getBlocks()).slice(-1);
+  assert.deepEqual(Object.keys(block.letters[0]), ['payload']);
+  assert.ok(!JSON.stringify(block).includes(fingerprintPublicKey(alice.publicKey)));
+  const found = await store.findStealthLetters((letter) => matchStealthLetter(alice.privateKey, letter.payload));
+  assert.equal(found.length, 1);
+  assert.equal(found[0].position, 0);
+  assert.equal((await store.findStealthLetters((letter) => matchStealthLetter(bob.privateKey, letter.payload))).length, 0);
+  await removeStore(tempFile);
+});
+
+test('tombstones signed by the letter sender are indexed against the letter', async () => {
+  const { store, tempFile } = await createStore();
+  const recipient = generateLetterKeyPair();
+  const sender = generateSigningKeyPair();
+  const revocation = createRevocationHandle(sender.privateKey);
+  const payload = encryptLetter(recipient.publicKey, 'oops', {}, { sender, revocation });
+  await store.appendLetterBlock(payload, 'recipient', {});
+  const payloadHash = hashPayload(payload);
+  assert.equal((await store.findLetterByPayloadHash(payloadHash)).letter.payload.revocation.publicKey, revocation.publicKey);
+  assert.throws(() => buildTombstone(generateSigningKeyPair().privateKey, { payloadHash, revocation }), /did not send/);
+  const tombstone = buildTombstone(sender.privateKey, { payloadHash, revocation });
+  assert.equal(verifyTombstone(tombstone, payload).ok, true);
+  assert.equal(verifyTombstone({ ...tombstone, revokedAt: 'later' }, payload).ok, false);
+  const block = await store.appendLettersBlock([{ tombstone }]);
+  assert.equal(block.summary, `Tombstone for ${payloadHash.slice(0, 8)}`);
+  assert.deepEqual((await store.getTombstones()).get(payloadHash), [tombstone]);
+  assert.equal((await store.findStealthLetters(() => true)).length, 0);
+  await removeStore(tempFile);
 });
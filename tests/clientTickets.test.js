@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { randomBytes } from 'node:crypto';
+import fs from 'fs-extra';
+
+// 客户端数据目录取自当前工作目录，切到临时目录后再加载
+const workdir = await fs.mkdtemp(path.join(os.tmpdir(), 'client-tickets-'));
+process.chdir(workdir);
+const { ClientState } = await import('../modes/client/state.js');
+
+test.after(() => fs.remove(workdir));
+
+function createUser(state, id) {
+  const vaultKey = randomBytes(32);
+  return state.vault.initializeVault(id, vaultKey).then(() => ({ id, vaultKey: vaultKey.toString('base64') }));
+}
+
+test('concurrent vault writes keep every ticket and receipt', async () => {
+  const state = new ClientState();
+  const user = await createUser(state, 'concurrent');
+  const vaultKey = state.decodeVaultKey(user.vaultKey);
+  await Promise.all([
+    ...Array.from({ length: 8 }, (_, i) => state.vault.saveTicket(user.id, vaultKey, { id: `t${i}`, status: 'queued' })),
+    ...Array.from({ length: 4 }, (_, i) => state.vault.addReceipt(user.id, vaultKey, 'key', { payloadHash: `p${i}` }))
+  ]);
+  assert.equal((await state.vault.listTickets(user.id, vaultKey)).length, 8);
+  assert.equal((await state.vault.listReceipts(user.id, vaultKey, 'key')).length, 4);
+});
+
+test('failed tickets are polled again so letters retried from dead letters get their receipt', async () => {
+  const remote = {
+    retried: { status: 'sealed', blockIndex: 3, receipt: { payloadHash: 'p' } },
+    dead: { status: 'failed', error: 'invalid letter' }
+  };
+  const requested = [];
+  const server = http.createServer((req, res) => {
+    const id = req.url.split('/').pop();
+    requested.push(id);
+    res.setHeader('Content-Type', 'application/json');
+    if (!remote[id]) {
+      res.statusCode = 404;
+      res.end(JSON.stringify({ error: 'Unknown letter ticket' }));
+      return;
+    }
+    res.end(JSON.stringify({ ticket: remote[id] }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const relay = `http://127.0.0.1:${server.address().port}`;
+
+  const state = new ClientState();
+  state.storeReceipt = async (user, keyId, receipt) => receipt;
+  const user = await createUser(state, 'retried');
+  const vaultKey = state.decodeVaultKey(user.vaultKey);
+  const submittedAt = new Date().toISOString();
+  for (const id of ['retried', 'dead', 'forgotten']) {
+    await state.vault.saveTicket(user.id, vaultKey, { id, relay, status: 'failed', error: 'boom', submittedAt });
+  }
+  try {
+    const tickets = await state.refreshTickets(user);
+    const byId = Object.fromEntries(tickets.map((ticket) => [ticket.id, ticket]));
+    assert.equal(byId.retried.status, 'sealed');
+    assert.equal(byId.retried.receiptStored, true);
+    assert.equal(byId.dead.status, 'failed');
+    assert.equal(byId.forgotten.unknownToRelay, true);
+
+    requested.length = 0;
+    await state.refreshTickets(user);
+    assert.deepEqual(requested, ['dead']);
+  } finally {
+    server.close();
+  }
+});
@@ -1,18 +1,146 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { generateRsaKeyPair, encryptLetter, decryptLetter, fingerprintPublicKey } from '../src/lib/crypto.js';
+import { publicEncrypt, randomBytes, createCipheriv } from 'node:crypto';
+import {
+  generateLetterKeyPair,
+  generateRsaKeyPair,
+  generateSigningKeyPair,
+  encryptLetter,
+  decryptLetter,
+  fingerprintPublicKey,
+  isStealthLetter,
+  LETTER_SIZE_BUCKETS,
+  letterCiphertextSize,
+  listLetterRecipients,
+  matchStealthLetter
+} from '../src/lib/crypto.js';
 
 test('encrypt/decrypt roundtrip', () => {
-  const { publicKey, privateKey } = generateRsaKeyPair();
+  const { publicKey, privateKey } = generateLetterKeyPair();
   const payload = encryptLetter(publicKey, 'hello world', { title: 'test' });
-  const result = decryptLetter(privateKey, payload);
+  assert.equal(payload.v, 2);
+  assert.equal(payload.recipients[0].alg, 'X25519-HKDF-SHA256');
+  const result = decryptLetter(privateKey, payload, { ownerFingerprint: fingerprintPublicKey(publicKey) });
   assert.equal(result.plaintext, 'hello world');
   assert.equal(result.metadata.title, 'test');
 });
 
+test('legacy RSA keys use OAEP-SHA256 key wrapping', () => {
+  const { publicKey, privateKey } = generateRsaKeyPair();
+  const payload = encryptLetter(publicKey, 'legacy key', {});
+  assert.equal(payload.recipients[0].alg, 'RSA-OAEP-256');
+  assert.equal(decryptLetter(privateKey, payload).plaintext, 'legacy key');
+});
+
+test('private metadata is sealed and only public metadata stays readable', () => {
+  const { publicKey, privateKey } = generateLetterKeyPair();
+  const payload = encryptLetter(publicKey, 'secret', { title: 'only for you', mood: 'shy' }, {
+    publicMetadata: { cover: 'hello' }
+  });
+  assert.deepEqual(payload.metadata, { cover: 'hello' });
+  assert.ok(!JSON.stringify(payload).includes('only for you'));
+  const result = decryptLetter(privateKey, payload);
+  assert.deepEqual(result.metadata, { cover: 'hello', title: 'only for you', mood: 'shy' });
+  assert.deepEqual(result.publicMetadata, { cover: 'hello' });
+  const { sealedMetadata, ...stripped } = payload;
+  assert.throws(() => decryptLetter(privateKey, stripped));
+  assert.throws(() => encryptLetter(publicKey, 'x', {}, { publicMetadata: { cover: 'x'.repeat(300) } }));
+});
+
+test('v2 envelopes bind owner fingerprint and metadata', () => {
+  const { publicKey, privateKey } = generateLetterKeyPair();
+  const payload = encryptLetter(publicKey, 'bound', { title: 'original' });
+  assert.throws(() => decryptLetter(privateKey, { ...payload, metadata: { title: 'forged' } }));
+  assert.throws(() => decryptLetter(privateKey, payload, { ownerFingerprint: 'someone-else' }));
+  const stranger = generateLetterKeyPair();
+  assert.throws(() => decryptLetter(stranger.privateKey, payload), /not addressed/);
+});
+
+test('v1 payloads still decrypt', () => {
+  const { publicKey, privateKey } = generateRsaKeyPair();
+  const symmetricKey = randomBytes(32);
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', symmetricKey, iv);
+  const ciphertext = Buffer.concat([cipher.update('old letter', 'utf8'), cipher.final()]);
+  const payload = {
+    encryptedKey: publicEncrypt(publicKey, symmetricKey).toString('base64'),
+    iv: iv.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64'),
+    metadata: { title: 'v1' },
+    createdAt: new Date().toISOString()
+  };
+  assert.equal(decryptLetter(privateKey, payload).plaintext, 'old letter');
+});
+
 test('fingerprint is deterministic', () => {
-  const { publicKey } = generateRsaKeyPair();
+  const { publicKey } = generateLetterKeyPair();
   const fingerprintA = fingerprintPublicKey(publicKey);
   const fingerprintB = fingerprintPublicKey(publicKey);
   assert.equal(fingerprintA, fingerprintB);
 });
+
+test('multi-recipient envelopes open for every recipient and mix key types', () => {
+  const alice = generateLetterKeyPair();
+  const bob = generateRsaKeyPair();
+  const payload = encryptLetter([alice.publicKey, bob.publicKey], 'for both of us', { title: 'us' });
+  assert.equal(payload.recipients.length, 2);
+  assert.deepEqual(listLetterRecipients(payload), [fingerprintPublicKey(alice.publicKey), fingerprintPublicKey(bob.publicKey)]);
+  assert.equal(decryptLetter(alice.privateKey, payload).plaintext, 'for both of us');
+  const forBob = decryptLetter(bob.privateKey, payload, { ownerFingerprint: fingerprintPublicKey(bob.publicKey) });
+  assert.equal(forBob.plaintext, 'for both of us');
+  const trimmed = { ...payload, recipients: payload.recipients.slice(1) };
+  assert.throws(() => decryptLetter(bob.privateKey, trimmed));
+});
+
+test('signed letters expose a verifiable sender', () => {
+  const { publicKey, privateKey } = generateLetterKeyPair();
+  const signer = generateSigningKeyPair();
+  const payload = encryptLetter(publicKey, 'yours truly', { title: 'signed' }, { sender: signer });
+  const result = decryptLetter(privateKey, payload);
+  assert.equal(result.plaintext, 'yours truly');
+  assert.equal(result.sender.publicKey, signer.publicKey);
+  assert.equal(result.sender.fingerprint, fingerprintPublicKey(signer.publicKey));
+  assert.equal(result.sender.signatureValid, true);
+  assert.equal(decryptLetter(privateKey, encryptLetter(publicKey, 'anonymous', {})).sender, null);
+});
+
+test('stripped or corrupted sender blocks are detected', () => {
+  const { publicKey, privateKey } = generateLetterKeyPair();
+  const payload = encryptLetter(publicKey, 'yours truly', {}, { sender: generateSigningKeyPair() });
+  const { sender, ...stripped } = payload;
+  assert.throws(() => decryptLetter(privateKey, stripped));
+  const corrupted = { ...payload, sender: { ...sender, authTag: Buffer.alloc(16).toString('base64') } };
+  assert.equal(decryptLetter(privateKey, corrupted).sender.signatureValid, false);
+});
+
+test('stealth envelopes hide recipients and unlink letters to the same key', () => {
+  const alice = generateLetterKeyPair();
+  const bob = generateRsaKeyPair();
+  const first = encryptLetter([alice.publicKey, bob.publicKey], 'psst', { title: 'quiet' }, { stealth: true });
+  const second = encryptLetter(alice.publicKey, 'again', {}, { stealth: true });
+  assert.equal(isStealthLetter(first), true);
+  assert.deepEqual(listLetterRecipients(first), []);
+  assert.notEqual(first.recipients[0].tag, second.recipients[0].tag);
+  assert.equal(matchStealthLetter(alice.privateKey, first), true);
+  assert.equal(matchStealthLetter(bob.privateKey, first), true);
+  assert.equal(matchStealthLetter(bob.privateKey, second), false);
+  assert.equal(decryptLetter(bob.privateKey, first).plaintext, 'psst');
+  assert.equal(decryptLetter(alice.privateKey, second).metadata.title, undefined);
+  const swapped = { ...first, recipients: [first.recipients[0], second.recipients[0]] };
+  assert.throws(() => decryptLetter(alice.privateKey, swapped));
+});
+
+test('letter bodies are padded to size buckets', () => {
+  const { publicKey, privateKey } = generateLetterKeyPair();
+  const short = encryptLetter(publicKey, 'hi', { title: 'a' });
+  const longer = encryptLetter(publicKey, 'x'.repeat(900), { title: 'a much longer title' });
+  assert.equal(letterCiphertextSize(short), LETTER_SIZE_BUCKETS[0]);
+  assert.equal(letterCiphertextSize(longer), LETTER_SIZE_BUCKETS[0]);
+  assert.equal(short.sealedMetadata.ciphertext.length, longer.sealedMetadata.ciphertext.length);
+  assert.equal(letterCiphertextSize(encryptLetter(publicKey, 'y'.repeat(2000))), LETTER_SIZE_BUCKETS[1]);
+  assert.equal(decryptLetter(privateKey, longer).plaintext, 'x'.repeat(900));
+  assert.throws(() => decryptLetter(privateKey, { ...short, padding: undefined }));
+  const largest = LETTER_SIZE_BUCKETS[LETTER_SIZE_BUCKETS.length - 1];
+  assert.throws(() => encryptLetter(publicKey, 'z'.repeat(largest)), /largest size bucket/);
+});
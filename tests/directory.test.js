@@ -0,0 +1,213 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import { BlockStore } from '../src/lib/blockchain.js';
+import { JsonStore } from '../src/lib/jsonStore.js';
+import { DirectoryState, pickRelayHeartbeat } from '../modes/directory/state.js';
+import { verifyChainCheckpoint } from '../src/lib/checkpoints.js';
+import { beaconDateFor, isBeaconReleased, verifyDateBeacon } from '../src/lib/dateBeacons.js';
+import {
+  decryptLetter,
+  encryptLetter,
+  fingerprintRelayKey,
+  generateLetterKeyPair,
+  generateSigningKeyPair
+} from '../src/lib/crypto.js';
+
+async function startRelayStub(store, { delayMs = 0 } = {}) {
+  const server = http.createServer(async (req, res) => {
+    await new Promise((resolve) => setTimeout(resolve, delayMs));
+    const url = new URL(req.url, 'http://localhost');
+    const result = await store.getBlocksSince({ sinceHash: url.searchParams.get('since') });
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(result));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('directory verifies reported heads and quarantines forged summaries', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'directory-'));
+  const store = new BlockStore({ filePath: path.join(dir, 'blocks.json') });
+  await store.init();
+  await store.appendLetterBlock({ ciphertext: 'a' }, 'finger', {});
+  const { server, url } = await startRelayStub(store);
+  const state = new DirectoryState();
+  state.store = new JsonStore(path.join(dir, 'directory-state.json'), {
+    relays: [],
+    canonicalManifest: { hashes: [], length: 0, checksum: '', latestHash: '' }
+  });
+  try {
+    const honestSummary = await store.getChainSummary();
+    const honest = await state.upsertRelay({ onion: 'honest', publicUrl: url, chainSummary: honestSummary });
+    assert.equal(honest.verifiedHead, honestSummary.latestHash);
+    assert.equal((await state.getCanonicalManifest()).latestHash, honestSummary.latestHash);
+
+    const forgedHashes = [...honestSummary.hashes, 'f'.repeat(64), 'e'.repeat(64)];
+    const forged = await state.upsertRelay({
+      onion: 'forged',
+      publicUrl: url,
+      chainSummary: { hashes: forgedHashes, length: forgedHashes.length, latestHash: forgedHashes[2] }
+    });
+    assert.ok(forged.quarantine);
+    assert.equal((await state.getCanonicalManifest()).latestHash, honestSummary.latestHash);
+    assert.equal((await state.findBestRelay()).onion, 'honest');
+
+    // 目录维护的字段不能由中继自报：自称已验证的伪造链头和自行解除隔离都无效
+    const forgedHead = forgedHashes[2];
+    const selfVerified = await state.upsertRelay({
+      onion: 'forged',
+      publicUrl: url,
+      verifiedHead: forgedHead,
+      quarantine: null,
+      chainSummary: { hashes: forgedHashes, length: forgedHashes.length, latestHash: forgedHead }
+    });
+    assert.ok(selfVerified.quarantine);
+    assert.notEqual(selfVerified.verifiedHead, forgedHead);
+    assert.equal((await state.getCanonicalManifest()).latestHash, honestSummary.latestHash);
+
+    const recovered = await state.upsertRelay({ onion: 'forged', publicUrl: url, chainSummary: honestSummary });
+    assert.equal(recovered.quarantine, undefined);
+  } finally {
+    server.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('heartbeats keep only relay-reported fields and must carry a pinned key', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'directory-identity-'));
+  const state = new DirectoryState();
+  state.store = new JsonStore(path.join(dir, 'directory-state.json'), {
+    relays: [],
+    canonicalManifest: { hashes: [], length: 0, checksum: '', latestHash: '' }
+  });
+  try {
+    assert.deepEqual(pickRelayHeartbeat({ onion: 'r1', verifiedHead: 'x', quarantine: null, syncStatus: {} }), { onion: 'r1' });
+    const { publicKey } = generateSigningKeyPair();
+    const fingerprint = fingerprintRelayKey(publicKey);
+    await state.upsertRelay({ onion: 'pinned', fingerprint, publicKey });
+    await assert.rejects(state.upsertRelay({ onion: 'pinned', fingerprint }), /must include it/);
+    await assert.rejects(
+      state.upsertRelay({ onion: 'pinned', fingerprint: 'x', publicKey: generateSigningKeyPair().publicKey }),
+      /does not match/
+    );
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('writes made while a relay head is being verified are not lost', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'directory-race-'));
+  const store = new BlockStore({ filePath: path.join(dir, 'blocks.json') });
+  await store.init();
+  await store.appendLetterBlock({ ciphertext: 'a' }, 'finger', {});
+  const { server, url } = await startRelayStub(store, { delayMs: 200 });
+  const state = new DirectoryState();
+  state.store = new JsonStore(path.join(dir, 'directory-state.json'), {
+    relays: [],
+    canonicalManifest: { hashes: [], length: 0, checksum: '', latestHash: '' }
+  });
+  try {
+    await state.upsertRelay({ onion: 'slow', publicUrl: url });
+    await state.upsertRelay({ onion: 'other', publicUrl: url });
+    const summary = await store.getChainSummary();
+    const verifying = state.upsertRelay({ onion: 'slow', publicUrl: url, chainSummary: summary });
+    const joining = state.upsertRelay({ onion: 'late', publicUrl: url });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await state.updateRelayMetrics('other', { latencyMs: 42 });
+    await state.updateRelayMetrics('slow', { metricsNotes: 'probed' });
+    await Promise.all([verifying, joining]);
+
+    const relays = new Map((await state.listRelays()).map((relay) => [relay.onion, relay]));
+    assert.equal(relays.get('other').latencyMs, 42);
+    assert.equal(relays.get('slow').metricsNotes, 'probed');
+    assert.equal(relays.get('slow').verifiedHead, summary.latestHash);
+    assert.ok(relays.has('late'));
+    assert.equal((await state.getCanonicalManifest()).latestHash, summary.latestHash);
+  } finally {
+    server.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('unreachable relays are not promoted but not quarantined either', async () => {
+  const state = new DirectoryState();
+  const result = await state.verifyRelayHead(
+    { onion: 'offline', publicUrl: 'http://127.0.0.1:9', chainSummary: { hashes: ['a'], latestHash: 'a' } },
+    { hashes: [] }
+  );
+  assert.equal(result.ok, false);
+  assert.equal(result.pending, true);
+});
+
+test('published checkpoints are signed and pin history against later forks', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'directory-checkpoints-'));
+  const state = new DirectoryState();
+  state.store = new JsonStore(path.join(dir, 'directory-state.json'), {
+    relays: [],
+    canonicalManifest: { hashes: ['g', 'a1'], length: 2, checksum: 'sum', latestHash: 'a1' },
+    checkpoints: []
+  });
+  state.identityStore = new JsonStore(path.join(dir, 'identity.json'), {});
+  try {
+    const checkpoint = await state.publishCheckpoint();
+    assert.equal(checkpoint.height, 1);
+    assert.equal('checksum' in checkpoint, false);
+    const { publicKey, checkpoints } = await state.listCheckpoints();
+    assert.equal(verifyChainCheckpoint(checkpoints[0], publicKey), true);
+    assert.equal(verifyChainCheckpoint({ ...checkpoints[0], hash: 'b1' }, publicKey), false);
+
+    const fork = { hashes: ['g', 'b1', 'b2', 'b3'], length: 4, latestHash: 'b3' };
+    const relays = [
+      { onion: 'r1', chainSummary: fork },
+      { onion: 'r2', chainSummary: fork }
+    ];
+    const current = await state.getCanonicalManifest();
+    assert.equal(state.updateCanonicalManifest(current, relays, checkpoints).latestHash, 'a1');
+    assert.equal(state.updateCanonicalManifest(current, relays, []).latestHash, 'b3');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('date beacons withhold their key until the date and gate time-locked letters', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'directory-beacons-'));
+  const state = new DirectoryState();
+  state.identityStore = new JsonStore(path.join(dir, 'identity.json'), {});
+  try {
+    const { publicKey, beacon: future } = await state.getDateBeacon('2099-02-14');
+    assert.equal(future.privateKey, undefined);
+    assert.equal(verifyDateBeacon(future, publicKey), true);
+    assert.equal(verifyDateBeacon({ ...future, date: '2099-02-15' }, publicKey), false);
+    await assert.rejects(state.getDateBeacon('tomorrow'), /YYYY-MM-DD/);
+
+    const { beacon: past } = await state.getDateBeacon('2020-02-14');
+    assert.equal(verifyDateBeacon(past, publicKey), true);
+    const recipient = generateLetterKeyPair();
+    const payload = encryptLetter(recipient.publicKey, 'happy anniversary', { title: 'ours' }, {
+      timeLock: { openAt: '2020-02-14T00:00:00.000Z', beaconDate: past.date, beaconPublicKey: past.publicKey }
+    });
+    const locked = decryptLetter(recipient.privateKey, payload);
+    assert.equal(locked.locked, true);
+    assert.equal(locked.plaintext, null);
+    const opened = decryptLetter(recipient.privateKey, payload, { beaconPrivateKey: past.privateKey });
+    assert.equal(opened.plaintext, 'happy anniversary');
+    const { timeLock, ...unlocked } = payload;
+    assert.throws(() => decryptLetter(recipient.privateKey, unlocked));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a beacon is never released before the letter openAt', () => {
+  assert.equal(beaconDateFor('2030-02-14T00:00:00.000Z'), '2030-02-14');
+  assert.equal(beaconDateFor('2030-02-14T20:00:00.000Z'), '2030-02-15');
+  assert.equal(beaconDateFor('2030-12-31T00:00:00.001Z'), '2031-01-01');
+  const openAt = '2030-02-14T20:00:00.000Z';
+  const date = beaconDateFor(openAt);
+  assert.equal(isBeaconReleased(date, new Date('2030-02-14T23:59:59.999Z')), false);
+  assert.equal(isBeaconReleased(date, new Date('2030-02-15T00:00:00.000Z')), true);
+});
@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildAttestationIndex, chooseCanonicalChain, compareChains } from '../src/lib/forkChoice.js';
+
+const honest = ['g', 'a1', 'a2'];
+const forged = ['g', 'b1', 'b2', 'b3', 'b4'];
+
+function relay(fingerprint, hashes) {
+  return { fingerprint, onion: `${fingerprint}.onion`, chainSummary: { hashes, length: hashes.length } };
+}
+
+test('majority-attested branch beats a longer minority fork', () => {
+  const attestations = buildAttestationIndex([
+    relay('R1', honest),
+    relay('R2', honest),
+    relay('R3', forged)
+  ]);
+  assert.ok(compareChains(honest, forged, attestations) > 0);
+  const best = chooseCanonicalChain([{ hashes: forged }, { hashes: honest }], attestations);
+  assert.deepEqual(best.hashes, honest);
+});
+
+test('duplicate reports from one relay count once', () => {
+  const attestations = buildAttestationIndex([relay('R1', honest), relay('R1', honest), relay('R2', forged)]);
+  assert.ok(compareChains(forged, honest, attestations) > 0);
+});
+
+test('ties fall back to length and then the lower tip hash', () => {
+  const attestations = buildAttestationIndex([relay('R1', ['g', 'x']), relay('R2', ['g', 'y', 'z'])]);
+  assert.ok(compareChains(['g', 'y', 'z'], ['g', 'x'], attestations) > 0);
+  assert.ok(compareChains(['g', 'a'], ['g', 'b'], new Map()) > 0);
+  assert.equal(compareChains(honest, honest, attestations), 0);
+  assert.ok(compareChains(['g', 'a1', 'a2', 'a3'], honest, attestations) > 0);
+});
@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fingerprintRelayKey, generateSigningKeyPair } from '../src/lib/crypto.js';
+import {
+  MAX_GOSSIP_HEADERS,
+  buildGossipMessage,
+  normalizeGossipPolicy,
+  selectGossipPeers,
+  verifyGossipMessage
+} from '../src/lib/gossip.js';
+
+function createSigner() {
+  const { publicKey, privateKey } = generateSigningKeyPair();
+  return { fingerprint: fingerprintRelayKey(publicKey), publicKey, privateKey };
+}
+
+const block = (index) => ({ index, hash: `hash-${index}`, previousHash: `hash-${index - 1}`, timestamp: 'now', letters: [] });
+
+test('gossip messages carry signed headers only', () => {
+  const signer = createSigner();
+  const message = buildGossipMessage(signer, { onion: 'relay-a.onion', blocks: [block(1), block(2)] });
+  assert.equal(message.from, signer.fingerprint);
+  assert.deepEqual(message.headers.map((header) => Object.keys(header)), Array(2).fill(['index', 'hash', 'previousHash', 'timestamp']));
+  assert.equal(verifyGossipMessage(message, signer.publicKey).ok, true);
+
+  assert.equal(verifyGossipMessage({ ...message, onion: 'forged.onion' }, signer.publicKey).ok, false);
+  assert.equal(verifyGossipMessage(message, createSigner().publicKey).ok, false);
+  assert.equal(verifyGossipMessage(message, signer.publicKey, { now: Date.now() + 10 * 60 * 1000 }).reason, 'Gossip message is stale');
+
+  const many = Array.from({ length: MAX_GOSSIP_HEADERS + 5 }, (_, index) => block(index + 1));
+  const trimmed = buildGossipMessage(signer, { onion: 'relay-a.onion', blocks: many });
+  assert.equal(trimmed.headers.length, MAX_GOSSIP_HEADERS);
+  assert.equal(trimmed.headers.at(-1).hash, many.at(-1).hash);
+});
+
+test('peer selection keeps surviving peers and caps the set', () => {
+  const relays = Array.from({ length: 10 }, (_, index) => ({ fingerprint: `fp-${index}` }));
+  const peers = selectGossipPeers(relays, { maxPeers: 4, keep: ['fp-7', 'gone'] });
+  assert.equal(peers.length, 4);
+  assert.equal(peers[0].fingerprint, 'fp-7');
+  assert.equal(new Set(peers.map((peer) => peer.fingerprint)).size, 4);
+  assert.deepEqual(normalizeGossipPolicy({ enabled: false, maxPeers: '0' }), { enabled: false, maxPeers: 6 });
+});
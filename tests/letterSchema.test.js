@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  encryptLetter,
+  fingerprintPublicKey,
+  generateLetterKeyPair,
+  generateRsaKeyPair,
+  generateSigningKeyPair
+} from '../src/lib/crypto.js';
+import { createRevocationHandle } from '../src/lib/tombstones.js';
+import { validateLetterPayload, validateRecipientFingerprints } from '../src/lib/letterSchema.js';
+
+test('letters produced by encryptLetter pass relay validation', () => {
+  const { publicKey } = generateLetterKeyPair();
+  const rsa = generateRsaKeyPair();
+  const sender = generateSigningKeyPair();
+  const payload = encryptLetter([publicKey, rsa.publicKey], 'hello', { title: 'private' }, {
+    publicMetadata: { cover: 'hi' },
+    sender,
+    revocation: createRevocationHandle(sender.privateKey)
+  });
+  assert.deepEqual(validateLetterPayload(payload), { ok: true });
+  assert.deepEqual(validateLetterPayload(encryptLetter(publicKey, 'hidden', {}, { stealth: true })), { ok: true });
+  assert.deepEqual(validateRecipientFingerprints([fingerprintPublicKey(publicKey)]), { ok: true });
+});
+
+test('malformed envelopes are rejected with structured codes', () => {
+  const { publicKey } = generateLetterKeyPair();
+  const payload = encryptLetter(publicKey, 'hello', {});
+  const codeOf = (patch) => validateLetterPayload({ ...payload, ...patch }).code;
+  assert.equal(codeOf({ v: 1 }), 'unsupported-version');
+  assert.equal(codeOf({ enc: 'A128CBC' }), 'unsupported-encryption');
+  assert.equal(codeOf({ iv: Buffer.alloc(16).toString('base64') }), 'invalid-iv');
+  assert.equal(codeOf({ authTag: Buffer.alloc(8).toString('base64') }), 'invalid-auth-tag');
+  assert.equal(codeOf({ ciphertext: 'not base64!' }), 'invalid-base64');
+  assert.equal(codeOf({ recipients: [{ ...payload.recipients[0], kid: 'ABC' }] }), 'invalid-fingerprint');
+  assert.equal(codeOf({ recipients: [{ ...payload.recipients[0], alg: 'ROT13' }] }), 'invalid-recipients');
+  assert.equal(codeOf({ createdAt: 'yesterday' }), 'invalid-created-at');
+  assert.equal(codeOf({ createdAt: new Date(Date.now() + 3600000).toISOString() }), 'clock-skew');
+  assert.equal(validateLetterPayload(payload, { now: Date.now() + 3600000, maxClockSkewMs: 7200000 }).ok, true);
+  assert.equal(validateRecipientFingerprints(['abc123']).code, 'invalid-fingerprint');
+});
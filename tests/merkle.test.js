@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildMerkleProof,
+  computeMerkleRoot,
+  hashMerkleLeaf,
+  hashMerkleNode,
+  verifyMerkleProof
+} from '../src/lib/merkle.js';
+
+test('merkle root of a single letter is its leaf hash', () => {
+  const letter = { ownerFingerprint: 'a', payload: { ciphertext: 'x' } };
+  assert.equal(computeMerkleRoot([letter]), hashMerkleLeaf(letter));
+  assert.equal(computeMerkleRoot([]), null);
+});
+
+test('merkle root promotes the odd leaf and depends on order', () => {
+  const letters = ['a', 'b', 'c'].map((ownerFingerprint) => ({ ownerFingerprint, payload: {} }));
+  const [a, b, c] = letters.map((letter) => hashMerkleLeaf(letter));
+  assert.equal(computeMerkleRoot(letters), hashMerkleNode(hashMerkleNode(a, b), c));
+  assert.notEqual(computeMerkleRoot(letters), computeMerkleRoot([...letters].reverse()));
+});
+
+test('merkle proofs verify every position and reject forged leaves', () => {
+  const letters = ['a', 'b', 'c', 'd', 'e'].map((ownerFingerprint) => ({ ownerFingerprint, payload: {} }));
+  const root = computeMerkleRoot(letters);
+  letters.forEach((letter, position) => {
+    const proof = buildMerkleProof(letters, position);
+    assert.equal(verifyMerkleProof(hashMerkleLeaf(letter), proof, root), true);
+  });
+  const forged = hashMerkleLeaf({ ownerFingerprint: 'z', payload: {} });
+  assert.equal(verifyMerkleProof(forged, buildMerkleProof(letters, 0), root), false);
+});
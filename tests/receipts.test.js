@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fingerprintRelayKey, generateSigningKeyPair } from '../src/lib/crypto.js';
+import { buildLetterReceipt, verifyLetterReceipt } from '../src/lib/receipts.js';
+
+function createSigner() {
+  const { publicKey, privateKey } = generateSigningKeyPair();
+  return { fingerprint: fingerprintRelayKey(publicKey), publicKey, privateKey };
+}
+
+const block = {
+  index: 7,
+  hash: 'block-hash',
+  letters: [
+    { ownerFingerprint: 'a', payload: { ciphertext: 'first' } },
+    { ownerFingerprint: 'b', payload: { ciphertext: 'second' } }
+  ]
+};
+
+test('letter receipts cover the letter at their position', () => {
+  const receipt = buildLetterReceipt(createSigner(), { block, position: 1 });
+  assert.equal(receipt.blockIndex, 7);
+  assert.equal(receipt.ownerFingerprint, 'b');
+  assert.equal(verifyLetterReceipt(receipt, { payload: block.letters[1].payload }).ok, true);
+  assert.equal(verifyLetterReceipt(receipt, { payload: block.letters[0].payload }).ok, false);
+});
+
+test('tampered or re-keyed receipts are rejected', () => {
+  const signer = createSigner();
+  const receipt = buildLetterReceipt(signer, { block, position: 0 });
+  assert.equal(verifyLetterReceipt({ ...receipt, blockIndex: 8 }).ok, false);
+  const relayKeys = new Map([[signer.fingerprint, createSigner().publicKey]]);
+  assert.equal(verifyLetterReceipt(receipt, { relayKeys }).ok, false);
+});
+
+test('receipts from relays missing in the directory registry are rejected', () => {
+  const signer = createSigner();
+  const receipt = buildLetterReceipt(signer, { block, position: 0 });
+  assert.equal(verifyLetterReceipt(receipt, { relayKeys: new Map() }).reason, 'Receipt relay is not registered with the directory');
+  assert.equal(verifyLetterReceipt(receipt, { relayKeys: new Map([[signer.fingerprint, signer.publicKey]]) }).ok, true);
+});
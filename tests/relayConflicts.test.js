@@ -0,0 +1,153 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'fs-extra';
+import { BlockStore } from '../src/lib/blockchain.js';
+
+// 中继状态的数据目录取自当前工作目录，切到临时目录后再加载
+const workdir = await fs.mkdtemp(path.join(os.tmpdir(), 'relay-conflicts-'));
+process.chdir(workdir);
+const { RelayState } = await import('../modes/relay/state.js');
+
+test.after(() => fs.remove(workdir));
+
+const letter = (text) => ({ ownerFingerprint: 'c'.repeat(64), payload: { v: 2, ciphertext: text } });
+
+test('conflict snapshots can be diffed, re-injected and restored', async () => {
+  const state = new RelayState();
+  state.processQueueSoon = () => {};
+  state.getValidationOptions = async () => ({});
+  state.blockStore = await new BlockStore({ filePath: path.join(workdir, 'local', 'blocks.json') }).init();
+  const [genesis] = await state.blockStore.getBlocks();
+  await state.blockStore.appendLettersBlock([letter('AAAA'), letter('BBBB')]);
+
+  const remote = await new BlockStore({ filePath: path.join(workdir, 'remote', 'blocks.json') }).init();
+  await remote.syncFromRemote([genesis], { force: true });
+  await remote.appendLettersBlock([letter('BBBB')]);
+  await remote.appendLettersBlock([letter('CCCC')]);
+  const remoteBlocks = await remote.getBlocks();
+
+  const conflict = await state.detectChainConflict(remoteBlocks);
+  assert.equal(conflict.divergeAt, 1);
+  const replayed = await state.requeueOrphanedLetters([conflict.orphanedBlocks[0]].map((block) => ({
+    ...block,
+    letters: block.letters.slice(0, 1)
+  })));
+  await state.snapshotConflictChain(conflict.localBlocks, { reason: 'fork', divergeAt: conflict.divergeAt, replayed });
+  await state.blockStore.syncFromRemote(remoteBlocks, { force: true });
+
+  const [summary] = await state.listConflictSnapshots();
+  assert.equal(summary.orphanedBlocks, 1);
+  assert.equal(summary.replayedLetters, 1);
+  const diff = await state.diffConflictSnapshot(summary.id);
+  assert.deepEqual(diff.orphanedBlocks[0].letters.map((entry) => [entry.status, entry.replayed]), [
+    ['queued', true],
+    ['on-chain', false]
+  ]);
+  await assert.rejects(state.diffConflictSnapshot('../identity'), (error) => error.statusCode === 400);
+
+  state.pendingQueue = [];
+  assert.deepEqual(await state.reinjectConflictLetters(summary.id), { requeued: 1, skipped: [] });
+  assert.equal(state.pendingQueue[0].reinjectedFrom, summary.id);
+
+  const restored = await state.restoreConflictSnapshot(summary.id);
+  assert.equal(restored.restored, true);
+  assert.equal((await state.blockStore.getBlocks()).length, 2);
+  assert.deepEqual(state.pendingQueue.map((entry) => entry.letterPayload.ciphertext), ['CCCC']);
+  assert.equal((await state.listConflictSnapshots()).length, 2);
+});
+
+test('orphaned letters already on the incoming chain or queue are not replayed', async () => {
+  const state = new RelayState();
+  state.processQueueSoon = () => {};
+  state.blockStore = await new BlockStore({ filePath: path.join(workdir, 'dedupe', 'blocks.json') }).init();
+  const [genesis] = await state.blockStore.getBlocks();
+  const orphan = await state.blockStore.appendLettersBlock([letter('AAAA'), letter('BBBB'), letter('DDDD')]);
+  state.pendingQueue = [];
+  await state.requeueOrphanedLetters([{ ...orphan, letters: orphan.letters.slice(2) }]);
+
+  const incoming = [genesis, { index: 1, letters: [letter('BBBB')] }];
+  const replayed = await state.requeueOrphanedLetters([orphan], incoming);
+  assert.deepEqual(replayed.map((entry) => entry.position), [0]);
+  assert.deepEqual(state.pendingQueue.map((entry) => entry.letterPayload.ciphertext), ['DDDD', 'AAAA']);
+});
+
+test('a remote chain that fails validation leaves queue and snapshots untouched', async () => {
+  const state = new RelayState();
+  state.processQueueSoon = () => {};
+  state.pendingQueue = [];
+  state.blockStore = await new BlockStore({ filePath: path.join(workdir, 'invalid', 'blocks.json') }).init();
+  const [genesis] = await state.blockStore.getBlocks();
+  await state.blockStore.appendLettersBlock([letter('AAAA')]);
+
+  const remote = await new BlockStore({ filePath: path.join(workdir, 'invalid-remote', 'blocks.json') }).init();
+  await remote.syncFromRemote([genesis], { force: true });
+  await remote.appendLettersBlock([letter('BBBB')]);
+  await remote.appendLettersBlock([letter('CCCC')]);
+  const remoteBlocks = await remote.getBlocks();
+  const tampered = remoteBlocks.map((block, index) => (index === 2 ? { ...block, letters: [letter('EVIL')] } : block));
+
+  await assert.rejects(state.replaceWithRemoteChain(tampered, { attestations: null }, {}), /Remote chain invalid/);
+  assert.deepEqual(state.pendingQueue, []);
+  assert.equal(state.lastConflictInfo, null);
+  assert.deepEqual(await state.listConflictSnapshots(), []);
+
+  const result = await state.replaceWithRemoteChain(remoteBlocks, { attestations: null }, {});
+  assert.equal(result.updated, true);
+  assert.deepEqual(state.pendingQueue.map((entry) => entry.letterPayload.ciphertext), ['AAAA']);
+  assert.equal(state.lastConflictInfo.divergeAt, 1);
+  assert.equal((await state.listConflictSnapshots()).length, 1);
+});
+
+test('re-injecting a dead-lettered orphan removes it from the dead letters', async () => {
+  const state = new RelayState();
+  state.processQueueSoon = () => {};
+  state.pendingQueue = [];
+  state.blockStore = await new BlockStore({ filePath: path.join(workdir, 'revive', 'blocks.json') }).init();
+  const [genesis] = await state.blockStore.getBlocks();
+  const orphan = await state.blockStore.appendLettersBlock([letter('DEAD'), letter('LOST')]);
+  const conflict = await state.detectChainConflict([genesis, { ...orphan, hash: 'f'.repeat(64) }]);
+  const backupPath = await state.snapshotConflictChain(conflict.localBlocks, { reason: 'fork', divergeAt: conflict.divergeAt });
+  await state.blockStore.syncFromRemote([genesis], { force: true });
+  await state.deadLetterStore.update(() => ({ letters: [] }));
+  await state.appendDeadLetters(
+    [{ id: 'dead-1', letterPayload: orphan.letters[0].payload }, { id: 'other', letterPayload: { v: 2, ciphertext: 'ZZZZ' } }],
+    { error: 'boom', retryable: false }
+  );
+
+  const id = path.basename(backupPath, '.json');
+  const result = await state.reinjectConflictLetters(id, [{ blockIndex: 1, position: 0 }]);
+  assert.deepEqual(result, { requeued: 1, skipped: [] });
+  assert.deepEqual((await state.listDeadLetters()).map((entry) => entry.id), ['other']);
+  const diff = await state.diffConflictSnapshot(id);
+  assert.deepEqual(diff.orphanedBlocks[0].letters.map((entry) => entry.status), ['queued', 'missing']);
+});
+
+test('renaming a chain directory to its genesis keeps conflict snapshots on both sides', async () => {
+  const state = new RelayState();
+  const fromDir = path.join(state.chainRoot, 'pending-genesis');
+  const seeded = await new BlockStore({ filePath: path.join(fromDir, 'blocks.json') }).init();
+  const genesis = await seeded.getGenesisHash();
+  const toDir = path.join(state.chainRoot, genesis);
+  await fs.outputJson(path.join(fromDir, 'conflicts', 'blocks-1.json'), { blocks: [] });
+  await fs.outputJson(path.join(toDir, 'conflicts', 'blocks-2.json'), { blocks: [] });
+
+  assert.equal(await state.ensureChainForGenesis('pending-genesis', { allowRenameToActual: true }), genesis);
+  assert.equal(await fs.pathExists(fromDir), false);
+  assert.deepEqual((await fs.readdir(path.join(toDir, 'conflicts'))).sort(), ['blocks-1.json', 'blocks-2.json']);
+  assert.equal((await state.blockStore.getBlocks())[0].hash, genesis);
+});
+
+test('a corrupt conflict snapshot is skipped when listing the others', async () => {
+  const state = new RelayState();
+  state.blockStore = await new BlockStore({ filePath: path.join(workdir, 'corrupt', 'blocks.json') }).init();
+  const [genesis] = await state.blockStore.getBlocks();
+  await state.snapshotConflictChain([genesis], { reason: 'fork', divergeAt: 1 });
+  const conflictsDir = await state.getConflictsDir();
+  await fs.outputFile(path.join(conflictsDir, 'blocks-1.json'), '{"blocks": [');
+
+  const snapshots = await state.listConflictSnapshots();
+  assert.equal(snapshots.length, 1);
+  assert.equal(snapshots[0].divergeAt, 1);
+});
@@ -0,0 +1,133 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'fs-extra';
+import { BlockStore } from '../src/lib/blockchain.js';
+import { fingerprintRelayKey, generateSigningKeyPair } from '../src/lib/crypto.js';
+import { buildGossipMessage } from '../src/lib/gossip.js';
+
+// 中继状态的数据目录取自当前工作目录，切到临时目录后再加载
+const workdir = await fs.mkdtemp(path.join(os.tmpdir(), 'relay-gossip-'));
+process.chdir(workdir);
+const { RelayState } = await import('../modes/relay/state.js');
+
+test.after(() => fs.remove(workdir));
+
+const letter = (text) => ({ ownerFingerprint: 'c'.repeat(64), payload: { v: 2, ciphertext: text } });
+
+function serveBlocks(store, { onRequest = () => {}, delayMs = 0 } = {}) {
+  const server = http.createServer(async (req, res) => {
+    onRequest();
+    await new Promise((resolve) => setTimeout(resolve, delayMs));
+    const since = new URL(req.url, 'http://peer').searchParams.get('since');
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(await store.getBlocksSince({ sinceHash: since })));
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function createPeerSigner() {
+  const { publicKey, privateKey } = generateSigningKeyPair();
+  return { fingerprint: fingerprintRelayKey(publicKey), publicKey, privateKey };
+}
+
+test('relays pull only the missing blocks announced by a known peer', async () => {
+  const peerSigner = createPeerSigner();
+  const { publicKey } = peerSigner;
+  const peerStore = await new BlockStore({ filePath: path.join(workdir, 'peer', 'blocks.json') }).init();
+  const server = await serveBlocks(peerStore);
+  const publicUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const state = new RelayState();
+  state.processQueueSoon = () => {};
+  state.getGossipValidationOptions = async () => ({});
+  state.blockStore = await new BlockStore({ filePath: path.join(workdir, 'local', 'blocks.json') }).init();
+  await peerStore.syncFromRemote(await state.blockStore.getBlocks(), { force: true });
+  await state.refreshGossipPeers([
+    { onion: 'peer.onion', publicUrl, fingerprint: peerSigner.fingerprint, publicKey },
+    { onion: 'quarantined.onion', publicUrl, fingerprint: 'q'.repeat(64), publicKey, quarantine: true }
+  ]);
+  assert.deepEqual((await state.getGossipStatus()).peers.map((peer) => peer.onion), ['peer.onion']);
+  // 目录离线时返回空列表，保留上次的对等点
+  await state.refreshGossipPeers([]);
+  assert.equal((await state.getGossipStatus()).peers.length, 1);
+
+  const pushed = [];
+  state.gossipBlocks = async (blocks, options) => {
+    pushed.push({ blocks, options });
+  };
+  const first = await peerStore.appendLettersBlock([letter('AAAA')]);
+  const second = await peerStore.appendLettersBlock([letter('BBBB')]);
+  const message = buildGossipMessage(peerSigner, { onion: 'peer.onion', blocks: [first, second] });
+  try {
+    const result = await state.receiveGossip(message);
+    assert.equal(result.pulled, true);
+    assert.equal(result.appended, 2);
+    assert.equal((await state.blockStore.getLatestBlock()).hash, second.hash);
+    assert.deepEqual(pushed[0].blocks.map((block) => block.hash), [first.hash, second.hash]);
+    assert.equal(pushed[0].options.exclude, peerSigner.fingerprint);
+
+    assert.deepEqual(await state.receiveGossip(message), { pulled: false, reason: 'Blocks already known' });
+    const { publicKey: strangerKey, privateKey: strangerPrivate } = generateSigningKeyPair();
+    const stranger = buildGossipMessage(
+      { fingerprint: fingerprintRelayKey(strangerKey), privateKey: strangerPrivate },
+      { onion: 'stranger.onion', blocks: [second] }
+    );
+    await assert.rejects(state.receiveGossip(stranger), (error) => error.statusCode === 403);
+    await assert.rejects(
+      state.receiveGossip({ ...message, headers: message.headers.slice(0, 1) }),
+      (error) => error.statusCode === 400
+    );
+  } finally {
+    server.close();
+  }
+});
+
+test('a stalled peer pull does not hold up queue sealing', async () => {
+  const peerSigner = createPeerSigner();
+  const peerStore = await new BlockStore({ filePath: path.join(workdir, 'peer-race', 'blocks.json') }).init();
+  let requested;
+  const pullStarted = new Promise((resolve) => {
+    requested = resolve;
+  });
+  const server = await serveBlocks(peerStore, { onRequest: () => requested(), delayMs: 300 });
+  const publicUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const state = new RelayState();
+  state.processQueueSoon = () => {};
+  state.getGossipValidationOptions = async () => ({});
+  state.ensureFreshChainBeforeWrite = async () => ({});
+  state.reportToDirectory = async () => ({});
+  state.gossipBlocks = async () => ({});
+  state.blockStore = await new BlockStore({ filePath: path.join(workdir, 'local-race', 'blocks.json') }).init();
+  await peerStore.syncFromRemote(await state.blockStore.getBlocks(), { force: true });
+  await state.refreshGossipPeers([
+    { onion: 'peer.onion', publicUrl, fingerprint: peerSigner.fingerprint, publicKey: peerSigner.publicKey }
+  ]);
+  const announced = await peerStore.appendLettersBlock([letter('PEER')]);
+  state.pendingQueue = [];
+  await state.enqueueRecord({ letterPayload: letter('MINE').payload, ownerFingerprint: 'c'.repeat(64) }, { ticket: true });
+  try {
+    // 对等点迟迟不返回区块时封块照常进行；拉回的链尾随后因无法衔接被放弃，链保持完整
+    const pulling = state.receiveGossip(buildGossipMessage(peerSigner, { onion: 'peer.onion', blocks: [announced] }));
+    await pullStarted;
+    let pullDone = false;
+    pulling.then(() => {
+      pullDone = true;
+    });
+    await state.drainQueue();
+    assert.equal(pullDone, false);
+    const pulled = await pulling;
+    assert.equal(pulled.pulled, false);
+    assert.equal(pulled.linked, false);
+    const blocks = await state.blockStore.getBlocks();
+    assert.equal(BlockStore.validateChain(blocks).ok, true);
+    assert.deepEqual(blocks.slice(1).map((block) => block.letters[0].payload.ciphertext), ['MINE']);
+  } finally {
+    server.close();
+  }
+});
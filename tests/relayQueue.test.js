@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'fs-extra';
+
+// 中继状态的数据目录取自当前工作目录，切到临时目录后再加载
+const workdir = await fs.mkdtemp(path.join(os.tmpdir(), 'relay-queue-'));
+process.chdir(workdir);
+const { RelayState } = await import('../modes/relay/state.js');
+
+test.after(() => fs.remove(workdir));
+
+function queueEntry(id, extra = {}) {
+  return { id, letterPayload: {}, ownerFingerprint: 'f'.repeat(64), enqueuedAt: new Date().toISOString(), attempts: 0, ...extra };
+}
+
+test('failed entries back off individually and become dead letters after max attempts', async () => {
+  const state = new RelayState();
+  state.processQueueSoon = () => {};
+  await state.config.update({ queueRetry: { baseDelayMs: 1000, maxDelayMs: 4000, maxAttempts: 2 } });
+  const stuck = queueEntry('stuck', { attempts: 1 });
+  const fresh = queueEntry('fresh');
+  state.pendingQueue = [stuck, fresh];
+  const outage = Object.assign(new Error('directory unavailable'), { retryable: true });
+
+  await state.handleBatchFailure([stuck], outage);
+  assert.ok(Date.parse(stuck.nextAttemptAt) > Date.now());
+  assert.deepEqual(state.readyEntries().map((entry) => entry.id), ['fresh']);
+
+  stuck.attempts = 2;
+  await state.handleBatchFailure([stuck], outage);
+  assert.deepEqual(state.pendingQueue.map((entry) => entry.id), ['fresh']);
+  const [dead] = await state.listDeadLetters();
+  assert.equal(dead.id, 'stuck');
+  assert.equal(dead.error, 'directory unavailable');
+
+  await state.handleBatchFailure([fresh], new Error('malformed block'));
+  assert.equal(state.pendingQueue.length, 0);
+  assert.equal((await state.listDeadLetters()).length, 2);
+
+  assert.deepEqual(await state.retryDeadLetters(['stuck']), { retried: 1 });
+  assert.equal(state.pendingQueue[0].attempts, 0);
+  assert.equal(state.pendingQueue[0].nextAttemptAt, null);
+  assert.deepEqual(await state.purgeDeadLetters(), { purged: 1 });
+  assert.equal((await state.listDeadLetters()).length, 0);
+});
+
+test('a batch rejected for one letter seals the others and dead-letters only the offender', async () => {
+  const state = new RelayState();
+  state.processQueueSoon = () => {};
+  await state.deadLetterStore.update(() => ({ letters: [] }));
+  const entries = ['good-1', 'bad', 'good-2'].map((id) => queueEntry(id));
+  state.pendingQueue = [...entries];
+  const sealed = [];
+  state.processQueueBatch = async (batch) => {
+    batch.forEach((entry) => {
+      entry.attempts += 1;
+    });
+    if (batch.some((entry) => entry.id === 'bad')) {
+      throw new Error('invalid letter envelope');
+    }
+    sealed.push(batch.map((entry) => entry.id));
+    return batch.map((entry, position) => ({ block: { index: sealed.length, hash: 'h' }, position }));
+  };
+
+  await state.sealEntries(entries, { enabled: true });
+  assert.deepEqual(sealed, [['good-1'], ['good-2']]);
+  assert.equal(state.pendingQueue.length, 0);
+  const dead = await state.listDeadLetters();
+  assert.deepEqual(dead.map((entry) => [entry.id, entry.attempts]), [['bad', 1]]);
+});
+
+test('higher priority entries are processed first', () => {
+  const state = new RelayState();
+  state.pendingQueue = [
+    queueEntry('letter', { enqueuedAt: '2026-01-01T00:00:00.000Z' }),
+    queueEntry('tombstone', { priority: 2, enqueuedAt: '2026-01-01T00:00:02.000Z' }),
+    queueEntry('replay', { priority: 1, enqueuedAt: '2026-01-01T00:00:01.000Z' })
+  ];
+  assert.deepEqual(state.readyEntries().map((entry) => entry.id), ['tombstone', 'replay', 'letter']);
+});
+
+test('async submissions are tracked by ticket until their block is sealed', async () => {
+  const state = new RelayState();
+  state.processQueueSoon = () => {};
+  const payload = { v: 2, ciphertext: 'AAAA' };
+  const { ticketId } = await state.enqueueRecord(
+    { letterPayload: payload, ownerFingerprint: 'a'.repeat(64) },
+    { ticket: true }
+  );
+  assert.equal((await state.getTicket(ticketId)).status, 'queued');
+
+  const entry = state.pendingQueue.find((item) => item.id === ticketId);
+  state.removeFromQueue([entry]);
+  const block = { index: 7, hash: 'b'.repeat(64), letters: [{ ownerFingerprint: entry.ownerFingerprint, payload }] };
+  await state.recordTicketOutcomes([entry], { placements: [{ block, position: 0 }] });
+  const ticket = await state.getTicket(ticketId);
+  assert.equal(ticket.status, 'sealed');
+  assert.equal(ticket.blockIndex, 7);
+  assert.equal(ticket.receipt.position, 0);
+  await assert.rejects(state.getTicket('missing'), (error) => error.statusCode === 404);
+});
@@ -11,3 +11,14 @@ test('selects relay with lowest latency and good reachability', () => {
   const best = selectBestRelay(relays);
   assert.equal(best.onion, 'b');
 });
+
+test('prefers full archives when history is needed and skips quarantined relays', () => {
+  const relays = [
+    { onion: 'pruned', latencyMs: 50, reachability: 1, chainSummary: { archival: { mode: 'pruned' } } },
+    { onion: 'full', latencyMs: 600, reachability: 0.9, chainSummary: { archival: { mode: 'full' } } },
+    { onion: 'bad', latencyMs: 10, reachability: 1, quarantine: { reason: 'forged head' } }
+  ];
+  assert.equal(selectBestRelay(relays).onion, 'pruned');
+  assert.equal(selectBestRelay(relays, { preferFull: true }).onion, 'full');
+  assert.equal(selectBestRelay(relays.slice(0, 1), { preferFull: true }).onion, 'pruned');
+});
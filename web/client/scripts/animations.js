@@ -117,7 +117,7 @@ export class PoetryCarousel {
       '以密钥为笔，将心声镌刻于区块之上',
       '让情书乘着 Tor 的暗流，穿越防火墙的重重封锁',
       '每一封信都是一颗星，散落在去中心化的银河',
-      '用 RSA 的魔法守护秘密，用哈希链编织永恒',
+      '用 X25519 的魔法守护秘密，用哈希链编织永恒',
       '在洋葱路由的迷宫中，爱意永远找得到归途',
       '数字签名是誓言，时间戳是见证',
       '从中继到中继，情书如候鸟迁徙',
@@ -106,6 +106,8 @@ const elements = {
   keyModalInput: document.getElementById('key-label-input'),
   keyModalClose: document.getElementById('key-modal-close'),
   keyModalHint: document.getElementById('key-modal-hint'),
+  contactForm: document.getElementById('contact-form'),
+  contactListContainer: document.getElementById('contact-list-container'),
   
   // 情书创作
   composeForm: document.getElementById('compose-letter-form'),
@@ -115,6 +117,8 @@ const elements = {
   syncStatusBadge: document.getElementById('sync-status-badge'),
   letterKeySelect: document.getElementById('letter-key-select'),
   lettersContainer: document.getElementById('letters-container'),
+  receiptsContainer: document.getElementById('receipts-container'),
+  ticketsContainer: document.getElementById('tickets-container'),
   letterModal: document.getElementById('letter-modal'),
   letterModalTitle: document.getElementById('letter-modal-title'),
   letterModalMeta: document.getElementById('letter-modal-meta'),
@@ -141,6 +145,11 @@ const letterState = {
   activeIndex: null
 };
 
+// 投递票据的上一次状态，用于发现排队 → 封块的变化
+const ticketState = {
+  statuses: new Map()
+};
+
 const keyModalState = {
   defaultLabel: ''
 };
@@ -186,7 +195,11 @@ async function fetchJson(url, options = {}) {
       handleSessionExpired();
     }
     const message = (isJson && payload?.error) ? payload.error : (typeof payload === 'string' ? payload : '请求失败');
-    throw new Error(message || '请求失败');
+    const error = new Error(message || '请求失败');
+    if (isJson && payload?.code) {
+      error.code = payload.code;
+    }
+    throw error;
   }
   return payload;
 }
@@ -203,10 +216,13 @@ function logActivity(message) {
   
   const item = document.createElement('li');
   item.className = 'timeline-item';
-  item.innerHTML = `
-    <strong>${message}</strong>
-    <span class="timeline-time">${time}</span>
-  `;
+  // 消息常夹带中继返回的错误或用户输入，只能按纯文本写入
+  const text = document.createElement('strong');
+  text.textContent = message;
+  const stamp = document.createElement('span');
+  stamp.className = 'timeline-time';
+  stamp.textContent = time;
+  item.append(text, ' ', stamp);
   
   feed.prepend(item);
   
@@ -436,6 +452,13 @@ function handleSessionExpired(message = '会话已过期，请重新登录') {
   if (elements.lettersContainer) {
     elements.lettersContainer.innerHTML = '<p class="empty-hint">登录后查看情书</p>';
   }
+  if (elements.receiptsContainer) {
+    elements.receiptsContainer.innerHTML = '<p class="empty-hint">登录后查看投递回执</p>';
+  }
+  if (elements.ticketsContainer) {
+    elements.ticketsContainer.innerHTML = '<p class="empty-hint">登录后查看投递进度</p>';
+  }
+  ticketState.statuses.clear();
   if (elements.statKeys) {
     elements.statKeys.textContent = '0';
   }
@@ -507,6 +530,7 @@ async function startAppAfterAuth() {
 
 async function reloadAppData() {
   await loadKeys();
+  await loadContacts();
   await loadLetters();
   if (hasRole('admin')) {
     await loadNetworkConfig();
@@ -946,6 +970,10 @@ async function loadKeys() {
             <button class="key-action-btn" data-action="download-key" data-key-id="${key.id}">
               <i class="fas fa-file-export"></i> 导出
             </button>
+            ${key.signingPublicKey ? `
+            <button class="key-action-btn" data-action="copy-signing-key" data-key-id="${key.id}">
+              <i class="fas fa-signature"></i> 复制签名公钥
+            </button>` : ''}
           </div>
         </div>
       `).join('');
@@ -955,6 +983,27 @@ async function loadKeys() {
   updateDownloadButtonState(elements.letterKeySelect?.value);
 }
 
+async function loadContacts() {
+  const data = await fetchJson('/api/contacts');
+  const contacts = data.contacts || [];
+  if (!elements.contactListContainer) return;
+  if (contacts.length === 0) {
+    elements.contactListContainer.innerHTML = '<p class="empty-hint">通讯录还是空的</p>';
+    return;
+  }
+  elements.contactListContainer.innerHTML = contacts.map(contact => `
+    <div class="card-item">
+      <p><strong>✉️ ${escapeHtml(contact.name)}</strong></p>
+      <small style="font-family:monospace;color:var(--muted-gray);">${contact.id}</small>
+      <div class="key-actions">
+        <button class="key-action-btn" data-action="remove-contact" data-contact-id="${contact.id}">
+          <i class="fas fa-user-minus"></i> 移除
+        </button>
+      </div>
+    </div>
+  `).join('');
+}
+
 elements.createKeyBtn?.addEventListener('click', () => openKeyModal());
 
 elements.keyModalForm?.addEventListener('submit', async (event) => {
@@ -1001,30 +1050,96 @@ elements.importKeyForm?.addEventListener('submit', async (evt) => {
   logActivity('📥 召唤了一对现有密钥');
 });
 
-elements.keyListContainer?.addEventListener('click', (event) => {
+elements.keyListContainer?.addEventListener('click', async (event) => {
+  const copyButton = event.target.closest?.('[data-action="copy-signing-key"]');
+  if (copyButton) {
+    const key = clientState.keys.find(entry => entry.id === copyButton.dataset.keyId);
+    if (key?.signingPublicKey) {
+      await navigator.clipboard?.writeText(key.signingPublicKey);
+      logActivity(`📋 已复制「${key.label}」的签名公钥，可分享给笔友`);
+    }
+    return;
+  }
   const button = event.target.closest?.('[data-action="download-key"]');
   if (!button) return;
   downloadKeyById(button.dataset.keyId);
 });
 
+elements.contactForm?.addEventListener('submit', async (evt) => {
+  evt.preventDefault();
+  const formData = new FormData(elements.contactForm);
+  const { contact } = await fetchJson('/api/contacts', {
+    method: 'POST',
+    body: Object.fromEntries(formData.entries())
+  });
+  elements.contactForm.reset();
+  await loadContacts();
+  logActivity(`📇 笔友「${contact.name}」已加入通讯录`);
+});
+
+elements.contactListContainer?.addEventListener('click', async (event) => {
+  const button = event.target.closest?.('[data-action="remove-contact"]');
+  if (!button) return;
+  await fetchJson(`/api/contacts/${button.dataset.contactId}`, { method: 'DELETE' });
+  await loadContacts();
+});
+
 // ========== 情书创作 ==========
+function parsePublicKeyBlocks(raw = '') {
+  return raw.match(/-----BEGIN PUBLIC KEY-----[\s\S]+?-----END PUBLIC KEY-----/g) || [];
+}
+
+// 中继信封校验的错误码；中继返回的原文不可信，未列出的错误码只给出固定提示
+const RELAY_REJECTION_MESSAGES = {
+  'clock-skew': '本机时钟与中继相差过大，请校准系统时间后重试',
+  'unsupported-version': '中继不接受此信封版本，请升级客户端',
+  'unsupported-encryption': '中继不支持此加密方式',
+  'invalid-fingerprint': '收件人指纹格式不正确',
+  'invalid-recipients': '收件人封装信息不完整',
+  'invalid-metadata': '公开信息过长或格式不正确',
+  'invalid-time-lock': '定时开启设置无效',
+  'letter-too-large': '情书超出中继允许的大小'
+};
+
+function describeRelayRejection(error) {
+  if (!error.code) return error.message;
+  const hint = RELAY_REJECTION_MESSAGES[error.code];
+  return hint ? `${hint}（${error.code}）` : '中继拒收了这封情书，请稍后重试或更换中继';
+}
+
 elements.composeForm?.addEventListener('submit', async (evt) => {
   evt.preventDefault();
   const formData = new FormData(elements.composeForm);
   const payload = Object.fromEntries(formData.entries());
   
-  await fetchJson('/api/letters', {
-    method: 'POST',
-    body: {
-      keyId: payload.keyId,
-      text: payload.text,
-      metadata: { title: payload.title },
-      relayUrl: payload.relayUrl || undefined
-    }
-  });
+  let result;
+  try {
+    result = await fetchJson('/api/letters', {
+      method: 'POST',
+      body: {
+        keyId: payload.keyId,
+        recipientPublicKeys: parsePublicKeyBlocks(payload.recipientPublicKeys),
+        signKeyId: payload.signLetter ? payload.keyId : undefined,
+        stealth: Boolean(payload.stealth),
+        openAt: payload.openAt ? new Date(payload.openAt).toISOString() : undefined,
+        text: payload.text,
+        metadata: { title: payload.title },
+        publicMetadata: payload.cover ? { cover: payload.cover } : undefined,
+        relayUrl: payload.relayUrl || undefined
+      }
+    });
+  } catch (error) {
+    logActivity(`⚠️ 发送失败：${describeRelayRejection(error)}`);
+    return;
+  }
   
   elements.composeForm.reset();
-  logActivity('🚀 情书已加密并发送至星河');
+  if (result?.ticket) {
+    logActivity('📮 情书已进入中继队列，封块后自动领取回执');
+    await loadTickets();
+  } else {
+    logActivity('🚀 情书已加密并发送至星河');
+  }
   await loadLetters();
   
   // 如果火花激活,增加贡献
@@ -1046,6 +1161,9 @@ async function loadLetters() {
     if (elements.lettersContainer) {
       elements.lettersContainer.innerHTML = '<p class="empty-hint">请先选择密钥以解锁情书</p>';
     }
+    if (elements.receiptsContainer) {
+      elements.receiptsContainer.innerHTML = '<p class="empty-hint">请先选择密钥以查看投递回执</p>';
+    }
     if (elements.statLetters) {
       elements.statLetters.textContent = 0;
     }
@@ -1071,6 +1189,148 @@ async function loadLetters() {
         .join('');
     }
   }
+
+  await loadReceipts(keyId);
+}
+
+const RECEIPT_STATUS_LABELS = {
+  confirmed: '✅ 仍在主链',
+  orphaned: '⚠️ 已不在主链',
+  'pending-sync': '⏳ 待同步核对'
+};
+
+async function loadReceipts(keyId) {
+  if (!elements.receiptsContainer) return;
+  try {
+    const data = await fetchJson(`/api/letters/${keyId}/receipts`);
+    const receipts = data.receipts ?? [];
+    if (receipts.length === 0) {
+      elements.receiptsContainer.innerHTML = '<p class="empty-hint">该密钥暂无投递回执</p>';
+      return;
+    }
+    elements.receiptsContainer.innerHTML = [...receipts]
+      .reverse()
+      .map((receipt) => renderReceiptCard(receipt))
+      .join('');
+  } catch (error) {
+    elements.receiptsContainer.innerHTML = `<p class="empty-hint">回执加载失败：${escapeHtml(error.message)}</p>`;
+  }
+}
+
+const TICKET_STATUS_LABELS = {
+  queued: '⏳ 排队中',
+  sealed: '✅ 已封入区块',
+  failed: '⚠️ 投递失败'
+};
+
+// 刷新票据状态；由排队变为已封块时提示并刷新回执
+async function loadTickets() {
+  if (!elements.ticketsContainer || !authState.user) return;
+  try {
+    const { tickets = [] } = await fetchJson('/api/tickets');
+    tickets.forEach((ticket) => {
+      const previous = ticketState.statuses.get(ticket.id);
+      if (previous === 'queued' && ticket.status === 'sealed') {
+        logActivity(`📬 情书已封入区块 #${ticket.blockIndex}，回执已保存`);
+      } else if (previous === 'queued' && ticket.status === 'failed') {
+        logActivity(`⚠️ 情书投递失败：${ticket.error || '未知原因'}`);
+      }
+      ticketState.statuses.set(ticket.id, ticket.status);
+    });
+    if (tickets.length === 0) {
+      elements.ticketsContainer.innerHTML = '<p class="empty-hint">暂无投递中的情书</p>';
+      return;
+    }
+    elements.ticketsContainer.innerHTML = tickets.map((ticket) => renderTicketCard(ticket)).join('');
+  } catch (error) {
+    elements.ticketsContainer.innerHTML = `<p class="empty-hint">投递进度加载失败：${escapeHtml(error.message)}</p>`;
+  }
+}
+
+function hasQueuedTickets() {
+  return [...ticketState.statuses.values()].includes('queued');
+}
+
+function renderTicketCard(ticket) {
+  const status = TICKET_STATUS_LABELS[ticket.status] || ticket.status;
+  let detail = `提交于 ${escapeHtml(formatTimestamp(ticket.submittedAt))}`;
+  if (ticket.status === 'queued' && ticket.attempts > 0) {
+    detail += ` · 已重试 ${Number(ticket.attempts)} 次`;
+  } else if (ticket.status === 'sealed') {
+    detail += ` · 区块 #${Number(ticket.blockIndex)}${ticket.receiptStored ? '' : ' · 回执校验失败'}`;
+  } else if (ticket.status === 'failed') {
+    detail += ` · ${escapeHtml(ticket.error || '未知原因')}`;
+  }
+  const dismiss = ticket.status === 'queued'
+    ? ''
+    : ` <button class="key-action-btn" data-action="dismiss-ticket" data-ticket-id="${escapeHtml(ticket.id)}"><i class="fas fa-times"></i> 移除</button>`;
+  return `
+    <article class="card-item receipt-card">
+      <p><strong>${escapeHtml(status)}</strong>${dismiss}</p>
+      <small class="letter-meta">${detail}</small>
+      <small class="letter-meta">票据 <code>${escapeHtml(String(ticket.id).slice(0, 8))}…</code> · 中继 <code>${escapeHtml(ticket.relay || '')}</code></small>
+    </article>
+  `;
+}
+
+elements.ticketsContainer?.addEventListener('click', async (event) => {
+  const button = event.target.closest?.('[data-action="dismiss-ticket"]');
+  if (!button) return;
+  try {
+    await fetchJson(`/api/tickets/${encodeURIComponent(button.dataset.ticketId)}`, { method: 'DELETE' });
+    ticketState.statuses.delete(button.dataset.ticketId);
+    await loadTickets();
+  } catch (error) {
+    logActivity(`⚠️ 移除票据失败：${error.message}`);
+  }
+});
+
+function renderReceiptCard(receipt) {
+  const status = RECEIPT_STATUS_LABELS[receipt.chainStatus] || receipt.chainStatus;
+  const signature = receipt.signatureValid ? '签名有效' : '签名无效';
+  let revocation = '';
+  if (receipt.revoked) {
+    revocation = ' <span class="badge">已撤回</span>';
+  } else if (receipt.revocable) {
+    revocation = ` <button class="key-action-btn" data-action="revoke-letter" data-payload-hash="${escapeHtml(receipt.payloadHash)}"><i class="fas fa-undo"></i> 撤回</button>`;
+  }
+  return `
+    <article class="card-item receipt-card">
+      <p><strong>#${Number(receipt.blockIndex)} · 第 ${Number(receipt.position) + 1} 封</strong> <span class="badge">${escapeHtml(status)}</span>${revocation}</p>
+      <small class="letter-meta">接纳于 ${escapeHtml(formatTimestamp(receipt.acceptedAt))} · ${signature}</small>
+      <small class="letter-meta">区块 <code>${escapeHtml(String(receipt.blockHash || '').slice(0, 16))}…</code> · 中继 <code>${escapeHtml(String(receipt.relayFingerprint || '').slice(0, 12))}…</code></small>
+    </article>
+  `;
+}
+
+function formatCountdown(openAt) {
+  const remaining = Date.parse(openAt) - Date.now();
+  if (!(remaining > 0)) return '已到开启时间，同步后即可拆封';
+  const days = Math.floor(remaining / 86400000);
+  const hours = Math.floor((remaining % 86400000) / 3600000);
+  const minutes = Math.floor((remaining % 3600000) / 60000);
+  const seconds = Math.floor((remaining % 60000) / 1000);
+  const clock = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+  return days > 0 ? `还有 ${days} 天 ${clock}` : `还有 ${clock}`;
+}
+
+function refreshLetterCountdowns() {
+  document.querySelectorAll('[data-open-at]').forEach((node) => {
+    node.textContent = formatCountdown(node.dataset.openAt);
+  });
+}
+
+function describeLetterSender(sender) {
+  switch (sender?.status) {
+    case 'verified':
+      return `✍️ 来自 ${sender.contact} 的亲笔签名`;
+    case 'unknown':
+      return '❔ 未知寄信人';
+    case 'bad-signature':
+      return '⚠️ 签名无效';
+    default:
+      return '';
+  }
 }
 
 function renderLetterCard(letter, index) {
@@ -1082,7 +1342,26 @@ function renderLetterCard(letter, index) {
   if (letter.timestamp) {
     metaParts.push(escapeHtml(letter.timestamp));
   }
+  if (letter.recipientFingerprints?.length > 1) {
+    metaParts.push(`👥 ${letter.recipientFingerprints.length} 位收件人`);
+  }
+  if (letter.stealth) {
+    metaParts.push('🕶️ 隐匿寻址');
+  }
+  const senderText = describeLetterSender(letter.sender);
+  if (senderText) {
+    metaParts.push(escapeHtml(senderText));
+  }
   const metaText = metaParts.join(' · ') || '—';
+  if (letter.locked) {
+    return `
+    <article class="card-item letter-card is-locked" data-letter-index="${index}" role="button" tabindex="0">
+      <p><strong>🔒 ${escapeHtml(letter.publicMetadata?.cover || '定时封存的情书')}</strong></p>
+      <p class="letter-snippet">将于 ${escapeHtml(formatTimestamp(letter.openAt))} 开启 · <span data-open-at="${escapeHtml(letter.openAt)}">${formatCountdown(letter.openAt)}</span></p>
+      <small class="letter-meta">${metaText}</small>
+    </article>
+  `;
+  }
   return `
     <article class="card-item letter-card" data-letter-index="${index}" role="button" tabindex="0">
       <p><strong>💌 ${title}</strong></p>
@@ -1103,11 +1382,28 @@ function openLetterModal(letter, index) {
   if (letter.timestamp) {
     metaTokens.push(letter.timestamp);
   }
-  elements.letterModalTitle.textContent = title;
+  const senderText = describeLetterSender(letter.sender);
+  if (senderText) {
+    metaTokens.push(senderText);
+  }
+  if (letter.publicMetadata?.cover) {
+    metaTokens.push(`封面：${letter.publicMetadata.cover}`);
+  }
+  const sealedFields = Object.keys(letter.metadata ?? {}).filter(field => !(field in (letter.publicMetadata ?? {})));
+  if (sealedFields.length) {
+    metaTokens.push('🔒 私密信息已加密');
+  }
+  elements.letterModalTitle.textContent = letter.locked ? '🔒 定时封存的情书' : title;
   elements.letterModalMeta.textContent = metaTokens.join(' · ') || '—';
-  const raw = letter.plaintext?.trim() || '_正文为空_';
-  const safeHtml = DOMPurify.sanitize(marked.parse(raw));
-  elements.letterModalContent.innerHTML = safeHtml;
+  if (letter.locked) {
+    elements.letterModalContent.innerHTML = `
+      <p>这封信将于 <strong>${escapeHtml(formatTimestamp(letter.openAt))}</strong> 开启。</p>
+      <p><span data-open-at="${escapeHtml(letter.openAt)}">${formatCountdown(letter.openAt)}</span></p>
+    `;
+  } else {
+    const raw = letter.plaintext?.trim() || '_正文为空_';
+    elements.letterModalContent.innerHTML = DOMPurify.sanitize(marked.parse(raw));
+  }
   elements.letterModal.classList.add('is-visible');
   elements.letterModal.setAttribute('aria-hidden', 'false');
   refreshModalBodyLock();
@@ -1133,6 +1429,24 @@ function activateLetterFromEvent(target) {
   }
 }
 
+elements.receiptsContainer?.addEventListener('click', async (event) => {
+  const button = event.target.closest?.('[data-action="revoke-letter"]');
+  const keyId = elements.letterKeySelect?.value;
+  if (!button || !keyId) return;
+  if (!window.confirm('撤回后收件人将不再看到这封信，但区块中的密文仍会保留。确定撤回吗？')) return;
+  button.disabled = true;
+  try {
+    await fetchJson(`/api/letters/${keyId}/revoke`, {
+      method: 'POST',
+      body: { payloadHash: button.dataset.payloadHash }
+    });
+    logActivity('🕯️ 已为误寄的情书写下撤回墓碑，同步后生效');
+  } catch (error) {
+    logActivity(`⚠️ 撤回失败：${error.message}`);
+    button.disabled = false;
+  }
+});
+
 elements.lettersContainer?.addEventListener('click', (event) => {
   activateLetterFromEvent(event.target);
 });
@@ -1327,7 +1641,9 @@ elements.torStopBtn?.addEventListener('click', async () => {
 async function initApp() {
   try {
     await loadKeys();
+    await loadContacts();
     await loadLetters();
+    await loadTickets();
     if (hasRole('admin')) {
       await loadNetworkConfig();
       await loadTorConfig();
@@ -1336,12 +1652,22 @@ async function initApp() {
     await initSparkFeature();
     initDockActions();
     
+    setInterval(refreshLetterCountdowns, 1000);
+
     setInterval(() => {
       if (!authState.user) return;
       if (hasRole('admin')) {
         refreshTorStatus().catch(() => {});
       }
       refreshSparkStatus().catch(() => {});
+      if (hasQueuedTickets()) {
+        loadTickets()
+          .then(() => {
+            const keyId = elements.letterKeySelect?.value;
+            return keyId ? loadReceipts(keyId) : null;
+          })
+          .catch(() => {});
+      }
     }, 6000);
     
     console.log('✨ 让爱遍布于世界角落 - 系统已启动');
@@ -200,6 +200,7 @@ class DirectoryApp {
                 <i class="fas fa-${isOnline ? 'check-circle' : 'times-circle'}"></i>
                 ${isOnline ? '在线' : '离线'}
               </span>
+              ${relay.quarantine ? `<span class="badge offline" title="${this.escapeHtml(relay.quarantine.reason)}"><i class="fas fa-ban"></i> 隔离</span>` : ''}
             </td>
             <td><strong>${nickname}</strong></td>
             <td>${addressCell}</td>
@@ -373,6 +374,9 @@ class DirectoryApp {
     const chainInfo = relay.chainSummary
       ? `区块高度: ${relay.chainSummary.length || 0}<br>最新哈希: <code class="mono">${(relay.chainSummary.latestHash || '—').substring(0, 48)}...</code>`
       : '暂无链路数据';
+    const quarantineInfo = relay.quarantine
+      ? `<br>隔离原因: ${this.escapeHtml(relay.quarantine.reason)}<br>隔离时间: ${this.formatTime(relay.quarantine.at)}`
+      : '';
 
     const metrics = `
       <strong>网络指标</strong><br>
@@ -438,7 +442,7 @@ class DirectoryApp {
             </div>
             <div class="detail-item full">
               <label>区块链</label>
-              <div>${chainInfo}</div>
+              <div>${chainInfo}${quarantineInfo}</div>
             </div>
             <div class="detail-item full">
               <label>性能指标</label>
@@ -599,6 +603,16 @@ class DirectoryApp {
     if (diff < 86400) return `${Math.floor(diff / 3600)}小时前`;
     return `${Math.floor(diff / 86400)}天前`;
   }
+
+  // 隔离原因里带有中继返回的内容，写入 innerHTML 之前必须转义
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
 }
 
 // 添加旋转动画
@@ -53,6 +53,18 @@ class RelayApp {
     
     // 转发队列
     document.getElementById('clear-queue-btn').addEventListener('click', () => this.clearQueue());
+
+    // 分叉快照
+    document.getElementById('conflicts-tbody').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-snapshot]');
+      if (!button) return;
+      if (button.dataset.action === 'diff') {
+        this.showConflictDiff(button.dataset.snapshot);
+      } else if (button.dataset.action === 'restore') {
+        this.restoreConflictSnapshot(button.dataset.snapshot);
+      }
+    });
+    document.getElementById('reinject-selected-btn').addEventListener('click', () => this.reinjectSelectedLetters());
     
     // Tor控制
     document.getElementById('tor-config-form').addEventListener('submit', (e) => {
@@ -78,6 +90,7 @@ class RelayApp {
         this.loadDirectoryStatus(),
         this.loadSyncStatus(),
         this.loadQueue(),
+        this.loadConflicts(),
         this.loadTorStatus()
       ]);
       
@@ -227,12 +240,12 @@ class RelayApp {
       tbody.innerHTML = queueItems.map((item, index) => `
         <tr>
           <td>${index + 1}</td>
-          <td><code class="mono">${item.id?.substring(0, 16) || 'N/A'}...</code></td>
-          <td><code class="mono">${(item.ownerFingerprint || 'N/A').substring(0, 12)}...</code></td>
+          <td><code class="mono">${this.escapeHtml(item.id?.substring(0, 16) || 'N/A')}...</code></td>
+          <td><code class="mono">${this.escapeHtml(String(item.ownerFingerprint || 'N/A').substring(0, 12))}...</code></td>
           <td>${this.formatTime(item.enqueuedAt)}</td>
           <td>
-            <span class="badge ${item.attempts > 0 ? 'warning' : ''}">
-              ${item.attempts > 0 ? `重试 ${item.attempts}` : '待转发'}
+            <span class="badge ${item.attempts > 0 ? 'warning' : ''}" title="${this.escapeHtml(item.lastError)}">
+              ${item.attempts > 0 ? `重试 ${item.attempts}` : '待转发'}${item.nextAttemptAt ? ` · ${new Date(item.nextAttemptAt).toLocaleTimeString()} 再试` : ''}
             </span>
           </td>
         </tr>
@@ -242,6 +255,135 @@ class RelayApp {
     }
   }
 
+  // 加载分叉快照
+  async loadConflicts() {
+    try {
+      const response = await fetch('/api/relay/conflicts');
+      const data = await response.json();
+      const snapshots = data.snapshots || [];
+      const badge = document.getElementById('last-conflict-badge');
+      if (data.lastConflict) {
+        badge.className = 'badge syncing';
+        badge.textContent = `最近分叉 ${this.formatTime(data.lastConflict.resolvedAt)}`;
+      }
+
+      const tbody = document.getElementById('conflicts-tbody');
+      if (snapshots.length === 0) {
+        tbody.innerHTML = `
+          <tr class="empty-row">
+            <td colspan="6">
+              <div class="empty-state">
+                <i class="fas fa-check-circle"></i>
+                <p>本地链从未被分叉替换</p>
+              </div>
+            </td>
+          </tr>
+        `;
+        return;
+      }
+
+      tbody.innerHTML = snapshots.map((snapshot) => `
+        <tr>
+          <td>${new Date(snapshot.createdAt).toLocaleString('zh-CN', { hour12: false })}</td>
+          <td>${snapshot.reason === 'restore' ? '恢复前备份' : '分叉替换'}</td>
+          <td>#${snapshot.divergeAt ?? '—'}</td>
+          <td>${snapshot.orphanedBlocks} / ${snapshot.orphanedLetters}</td>
+          <td>${snapshot.replayedLetters ?? '未记录'}</td>
+          <td class="conflict-actions">
+            <button class="btn btn-ghost" data-action="diff" data-snapshot="${snapshot.id}">
+              <i class="fas fa-not-equal"></i><span>差异</span>
+            </button>
+            <button class="btn btn-ghost" data-action="restore" data-snapshot="${snapshot.id}">
+              <i class="fas fa-history"></i><span>恢复</span>
+            </button>
+          </td>
+        </tr>
+      `).join('');
+    } catch (error) {
+      console.error('加载分叉快照失败:', error);
+    }
+  }
+
+  async showConflictDiff(snapshotId) {
+    try {
+      const response = await fetch(`/api/relay/conflicts/${snapshotId}`);
+      const diff = await response.json();
+      if (!response.ok) throw new Error(diff.error);
+
+      const statusLabels = {
+        'on-chain': ['online', '已在当前链'],
+        queued: ['syncing', '排队重放中'],
+        'dead-letter': ['offline', '已进入死信'],
+        missing: ['offline', '下落不明']
+      };
+      const rows = diff.orphanedBlocks.flatMap((block) => block.letters.map((letter) => {
+        const [badgeClass, label] = statusLabels[letter.status] || ['', letter.status];
+        const selectable = letter.status === 'missing' || letter.status === 'dead-letter';
+        return `
+          <tr>
+            <td><input type="checkbox" data-block="${this.escapeHtml(block.index)}" data-position="${this.escapeHtml(letter.position)}" ${selectable ? 'checked' : 'disabled'}></td>
+            <td>#${this.escapeHtml(block.index)} · ${this.escapeHtml(letter.position + 1)}</td>
+            <td><code class="mono">${letter.kind === 'tombstone' ? '墓碑 ' : ''}${this.escapeHtml(String(letter.contentId).substring(0, 12))}...</code></td>
+            <td><code class="mono">${this.escapeHtml(String(letter.ownerFingerprint || '隐匿').substring(0, 12))}</code></td>
+            <td>
+              <span class="badge ${badgeClass}">${this.escapeHtml(label)}</span>
+              ${letter.replayed ? '<span class="badge">分叉时已重放</span>' : ''}
+            </td>
+          </tr>
+        `;
+      }));
+
+      const panel = document.getElementById('conflict-diff');
+      panel.hidden = false;
+      panel.dataset.snapshot = snapshotId;
+      document.getElementById('conflict-diff-title').textContent =
+        `快照差异：分叉于 #${diff.divergeAt ?? '—'}，快照高度 ${diff.snapshotHeight}，当前高度 ${diff.currentHeight}`;
+      document.getElementById('conflict-diff-tbody').innerHTML = rows.length
+        ? rows.join('')
+        : '<tr class="empty-row"><td colspan="5"><div class="empty-state"><p>快照中的区块都已在当前链上</p></div></td></tr>';
+    } catch (error) {
+      this.addLog('error', `加载快照差异失败: ${error.message}`);
+    }
+  }
+
+  async reinjectSelectedLetters() {
+    const panel = document.getElementById('conflict-diff');
+    const letters = [...panel.querySelectorAll('input[type="checkbox"]:checked')].map((input) => ({
+      blockIndex: Number(input.dataset.block),
+      position: Number(input.dataset.position)
+    }));
+    if (!letters.length) {
+      this.addLog('warning', '没有选中需要重新注入的信件');
+      return;
+    }
+    try {
+      const response = await fetch(`/api/relay/conflicts/${panel.dataset.snapshot}/reinject`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ letters })
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+      this.addLog('success', `已将 ${result.requeued} 封孤块信件重新注入队列`);
+      await Promise.all([this.loadQueue(), this.showConflictDiff(panel.dataset.snapshot)]);
+    } catch (error) {
+      this.addLog('error', `重新注入失败: ${error.message}`);
+    }
+  }
+
+  async restoreConflictSnapshot(snapshotId) {
+    if (!confirm('将以该快照替换当前本地链，当前链会先另存为快照。确定恢复吗？')) return;
+    try {
+      const response = await fetch(`/api/relay/conflicts/${snapshotId}/restore`, { method: 'POST' });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+      this.addLog(result.restored ? 'success' : 'info', result.restored ? '已从分叉快照恢复本地链' : result.message);
+      await Promise.all([this.loadSyncStatus(), this.loadQueue(), this.loadConflicts()]);
+    } catch (error) {
+      this.addLog('error', `恢复快照失败: ${error.message}`);
+    }
+  }
+
   // 加载Tor状态
   async loadTorStatus() {
     try {
@@ -529,6 +671,16 @@ class RelayApp {
     if (diff < 86400) return `${Math.floor(diff / 3600)}小时前`;
     return `${Math.floor(diff / 86400)}天前`;
   }
+
+  // 快照区块、队列错误等内容可能来自其他中继或投递者，写入 innerHTML 之前必须转义
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
 }
 
 // 添加旋转动画